@@ -2,12 +2,18 @@ require('dotenv').config();
 
 module.exports = {
   env: process.env.NODE_ENV || 'development',
+
+  // Fake log backends at /dev/logs - opt-in only, NODE_ENV is often unset
+  devLogStandins: process.env.DEV_LOG_STANDINS === 'true',
   port: process.env.PORT || 3000,
   
   allowedOrigins: process.env.ALLOWED_ORIGINS 
     ? process.env.ALLOWED_ORIGINS.split(',')
     : ['*'],
 
+  // Max JSON body size (uploaded source maps can be several MB)
+  bodyLimit: process.env.BODY_LIMIT || '10mb',
+
   llm: {
     apiUrl: process.env.LLM_API_URL || 'http://localhost:8080/api/v1/chat',
     apiKey: process.env.LLM_API_KEY || '',
@@ -19,6 +25,40 @@ module.exports = {
     defaultParams: process.env.LLM_DEFAULT_PARAMS
       ? JSON.parse(process.env.LLM_DEFAULT_PARAMS)
       : {}
+  },
+
+  symbolication: {
+    // Follow //# sourceMappingURL from the bundle's own origin when no map was uploaded
+    fetchRemoteMaps: process.env.SOURCEMAP_FETCH !== 'false',
+    // Origins bundles and maps may be fetched from, e.g. "https://*.freshdesk.com" -
+    // frame URLs come from the client, so nothing is fetched unless listed here
+    allowedOrigins: (process.env.SOURCEMAP_ALLOWED_ORIGINS || '')
+      .split(',')
+      .map((origin) => origin.trim())
+      .filter(Boolean),
+    maxBytes: parseInt(process.env.SOURCEMAP_MAX_BYTES || '20971520', 10),
+    timeout: parseInt(process.env.SOURCEMAP_TIMEOUT || '10000', 10),
+    maxCachedMaps: parseInt(process.env.SOURCEMAP_CACHE_SIZE || '50', 10)
+  },
+
+  harImport: {
+    // Same caps the extension applies before sending to the LLM
+    maxErrors: parseInt(process.env.HAR_MAX_ERRORS || '10', 10),
+    maxBodyChars: parseInt(process.env.HAR_MAX_BODY_CHARS || '5000', 10)
+  },
+
+  logSearch: {
+    // [{ name, domains, provider, endpoint, headers, secret, ... }] - the
+    // credentials for each environment's log backend live only here
+    environments: process.env.LOG_SEARCH_ENVIRONMENTS
+      ? JSON.parse(process.env.LOG_SEARCH_ENVIRONMENTS)
+      : [],
+    // { "<token>": { name, environments: ["production"] | ["*"] } }
+    users: process.env.LOG_SEARCH_USERS
+      ? JSON.parse(process.env.LOG_SEARCH_USERS)
+      : {},
+    timeout: parseInt(process.env.LOG_SEARCH_TIMEOUT || '10000', 10),
+    maxWindowMs: parseInt(process.env.LOG_SEARCH_MAX_WINDOW_MS || '3600000', 10)
   }
 };
 
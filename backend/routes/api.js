@@ -1,6 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const llmService = require("../services/llm");
+const symbolicationService = require("../services/symbolication");
+const harImportService = require("../services/harImport");
+const logSearchService = require("../services/logSearch");
 
 // Test endpoint - doesn't require LLM
 router.post("/test", async (req, res) => {
@@ -119,4 +122,165 @@ router.post("/chat", async (req, res) => {
   }
 });
 
+// Analyze a customer-supplied HAR file (plus optional console dump) with the
+// same error-analysis prompt the extension uses - no live reproduction needed
+router.post("/analyze-har", async (req, res) => {
+  try {
+    const { har, consoleLog, context } = req.body;
+
+    if (!har) {
+      return res.status(400).json({
+        error: "Missing required field: har",
+      });
+    }
+
+    let analysisData;
+    try {
+      analysisData = harImportService.buildAnalysisData(har, consoleLog);
+    } catch (error) {
+      return res.status(400).json({
+        error: "Failed to parse upload",
+        message: error.message,
+      });
+    }
+
+    const result = await llmService.processRequest({
+      data: JSON.stringify(analysisData.data, null, 2),
+      context: {
+        ...(context || {}),
+        timestamp: new Date().toISOString(),
+        source: "har-upload",
+        errorCount: {
+          crashes: 0,
+          apiErrors: analysisData.parsed.apiErrors,
+          consoleErrors: analysisData.parsed.consoleErrors,
+        },
+      },
+      action: "analyze",
+    });
+
+    res.json({
+      success: true,
+      parsed: analysisData.parsed,
+      result,
+    });
+  } catch (error) {
+    console.error("Error analyzing HAR:", error);
+    res.status(500).json({
+      error: "Failed to analyze HAR",
+      message: error.message,
+    });
+  }
+});
+
+// Upload a source map for a generated (minified) file
+router.post("/sourcemaps", async (req, res) => {
+  try {
+    const { file, map } = req.body;
+
+    if (!file || !map) {
+      return res.status(400).json({
+        error: "Missing required fields: file, map",
+      });
+    }
+
+    const stored = symbolicationService.addSourceMap(file, map);
+
+    res.json({
+      success: true,
+      result: stored,
+    });
+  } catch (error) {
+    console.error("Error storing source map:", error);
+    res.status(400).json({
+      error: "Failed to store source map",
+      message: error.message,
+    });
+  }
+});
+
+// List uploaded source maps
+router.get("/sourcemaps", (req, res) => {
+  res.json({
+    success: true,
+    result: symbolicationService.listSourceMaps(),
+  });
+});
+
+// Resolve minified stack traces to original file/line/function
+router.post("/symbolicate", async (req, res) => {
+  try {
+    const { stacks } = req.body;
+
+    if (!Array.isArray(stacks)) {
+      return res.status(400).json({
+        error: "Missing required field: stacks (array)",
+      });
+    }
+
+    const results = [];
+    for (const item of stacks) {
+      const resolved = await symbolicationService.symbolicate(item || {});
+      results.push({ id: item?.id, ...resolved });
+    }
+
+    res.json({
+      success: true,
+      results,
+    });
+  } catch (error) {
+    console.error("Error symbolicating stacks:", error);
+    res.status(500).json({
+      error: "Failed to symbolicate stacks",
+      message: error.message,
+    });
+  }
+});
+
+// Log search callers identify with a per-user token (Authorization: Bearer)
+function requireLogSearchUser(req, res, next) {
+  const header = req.get("authorization") || "";
+  const token = header.match(/^Bearer\s+(.+)$/i)?.[1];
+  const user = logSearchService.authenticate(token);
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: "A valid log search token is required",
+    });
+  }
+  req.logSearchUser = user;
+  next();
+}
+
+// Log search proxy - credentials for the log backends stay on this server
+router.post("/logs/search", requireLogSearchUser, async (req, res) => {
+  const { traceId, startTime, endTime, url } = req.body || {};
+  try {
+    const result = await logSearchService.search(
+      { traceId, startTime, endTime, url },
+      req.logSearchUser
+    );
+    console.log(
+      `Log search by ${req.logSearchUser.name} in ${result.environment}: ${traceId} (${result.total} logs)`
+    );
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.warn(
+      `Log search by ${req.logSearchUser.name} refused or failed: ${error.message}`
+    );
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Environments the caller may search (no credentials)
+router.get("/logs/environments", requireLogSearchUser, (req, res) => {
+  res.json({
+    user: req.logSearchUser.name,
+    environments: logSearchService.listEnvironments(req.logSearchUser),
+  });
+});
+
 module.exports = router;
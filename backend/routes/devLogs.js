@@ -0,0 +1,108 @@
+const express = require("express");
+const router = express.Router();
+
+// Stand-in log backends for trying the log search providers
+// (LOG_SEARCH_ENVIRONMENTS) locally. Mounted at /dev/logs only with
+// DEV_LOG_STANDINS=true - every search returns a few generated lines for the
+// requested trace ID inside the time window.
+//
+//   internal       POST /dev/logs/api/v2/logs/search            (endpoint: http://localhost:3000/dev/logs)
+//   elasticsearch  POST /dev/logs/es/:index/_search             (endpoint: http://localhost:3000/dev/logs/es)
+//   loki           GET  /dev/logs/loki/loki/api/v1/query_range  (endpoint: http://localhost:3000/dev/logs/loki)
+//   http           GET|POST /dev/logs/http/search?traceId=...   (resultsPath: logs)
+
+const SERVICES = ["api-gateway", "ticket-service", "search-service"];
+const LEVELS = ["info", "info", "warn", "error"];
+
+function fakeLogs(traceId, startTime, endTime) {
+  const end = Date.parse(endTime) || Date.now();
+  const start = Math.min(Date.parse(startTime) || end - 60000, end);
+  const step = (end - start) / (LEVELS.length + 1);
+
+  return LEVELS.map((level, idx) => ({
+    timestamp: new Date(start + step * (idx + 1)).toISOString(),
+    level,
+    service: SERVICES[idx % SERVICES.length],
+    trace_id: traceId,
+    message:
+      level === "error"
+        ? `Request ${traceId} failed: upstream returned 500`
+        : `Handling request ${traceId} (step ${idx + 1})`,
+  }));
+}
+
+// internal - the original service's request/response shape
+router.post("/api/v2/logs/search", (req, res) => {
+  const { query, startTime, endTime } = req.body || {};
+  if (!query) {
+    return res.status(400).json({ error: "query is required" });
+  }
+  const logs = fakeLogs(query, startTime, endTime);
+  res.json({ total: logs.length, logs });
+});
+
+// elasticsearch - pulls the trace ID and range back out of the bool query
+router.post("/es/:index/_search", (req, res) => {
+  const filters = req.body?.query?.bool?.filter || [];
+  const term = filters.find((f) => f.term)?.term || {};
+  const range = Object.values(filters.find((f) => f.range)?.range || {})[0];
+  const traceId = Object.values(term)[0];
+  if (!traceId) {
+    return res.status(400).json({ error: "term filter is required" });
+  }
+
+  const logs = fakeLogs(traceId, range?.gte, range?.lte);
+  res.json({
+    took: 1,
+    hits: {
+      total: { value: logs.length, relation: "eq" },
+      hits: logs.map((log, idx) => ({
+        _index: req.params.index,
+        _id: `${traceId}-${idx}`,
+        _source: { ...log, "@timestamp": log.timestamp },
+      })),
+    },
+  });
+});
+
+// loki - trace ID comes from the |= "..." line filter, times are in ns
+router.get("/loki/loki/api/v1/query_range", (req, res) => {
+  const match = String(req.query.query || "").match(
+    /\|=\s*"((?:[^"\\]|\\.)*)"/
+  );
+  if (!match) {
+    return res.status(400).json({ error: "line filter is required" });
+  }
+  const traceId = JSON.parse(`"${match[1]}"`);
+  const toIso = (ns) =>
+    ns ? new Date(Number(BigInt(ns) / 1000000n)).toISOString() : undefined;
+
+  const logs = fakeLogs(traceId, toIso(req.query.start), toIso(req.query.end));
+  res.json({
+    status: "success",
+    data: {
+      resultType: "streams",
+      result: SERVICES.map((service) => ({
+        stream: { app: service },
+        values: logs
+          .filter((log) => log.service === service)
+          .map((log) => [
+            `${Date.parse(log.timestamp)}000000`,
+            JSON.stringify(log),
+          ]),
+      })).filter((stream) => stream.values.length > 0),
+    },
+  });
+});
+
+// http - generic template target, trace ID from the query string or body
+router.all("/http/search", (req, res) => {
+  const params = { ...req.query, ...(req.body || {}) };
+  if (!params.traceId) {
+    return res.status(400).json({ error: "traceId is required" });
+  }
+  const logs = fakeLogs(params.traceId, params.startTime, params.endTime);
+  res.json({ count: logs.length, logs });
+});
+
+module.exports = router;
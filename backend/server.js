@@ -13,12 +13,17 @@ app.use(cors({
   origin: config.allowedOrigins || '*',
   credentials: true
 }));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+app.use(express.json({ limit: config.bodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: config.bodyLimit }));
 
 // Routes
 app.use('/api', apiRoutes);
 
+// Stand-in log search backends for testing extension log providers locally
+if (config.devLogStandins) {
+  app.use('/dev/logs', require('./routes/devLogs'));
+}
+
 // LLM connectivity check endpoint
 app.get('/health/llm', async (req, res) => {
   try {
@@ -0,0 +1,353 @@
+const config = require("../config/config");
+
+// Same list the extension uses (injected.js TRACE_ID_HEADERS)
+const TRACE_ID_HEADERS = [
+  "x-trace-id",
+  "x-request-id",
+  "x-correlation-id",
+  "traceparent",
+  "x-amzn-trace-id",
+  "x-b3-traceid",
+  "request-id",
+  "x-cloud-trace-context",
+];
+
+// Customer HARs are exported straight from DevTools - nothing is masked yet
+const SENSITIVE_HEADERS = [
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "set-cookie",
+  "x-csrf-token",
+  "x-xsrf-token",
+  "x-api-key",
+  "api-key",
+];
+const MASK = "[REDACTED]";
+
+// Body rules - the extension's defaults (redaction.js DEFAULT_RULES): keys
+// masked at any depth, then patterns masked in every remaining string
+const SENSITIVE_KEYS = [
+  "password",
+  "passwd",
+  "secret",
+  "token",
+  "access_token",
+  "refresh_token",
+  "api_key",
+  "apiKey",
+  "authenticity_token",
+];
+// Keys match case-insensitively, like the extension's path rules
+const SENSITIVE_KEY_SET = new Set(SENSITIVE_KEYS.map((k) => k.toLowerCase()));
+const CARD_NUMBER = /\b\d(?:[ -]?\d){12,15}\b/g;
+const SENSITIVE_PATTERNS = [
+  /Bearer\s+[A-Za-z0-9\-._~+/]+=*/gi,
+  /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+  /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  CARD_NUMBER,
+];
+// Form bodies, query strings and fragments: "password=...&user=..."
+const SENSITIVE_PARAM = new RegExp(
+  `(^|[?&#])(${SENSITIVE_KEYS.join("|")})=[^&#\\s]*`,
+  "gi"
+);
+
+// Console dumps: "12:34:56.789 main.js:12 Uncaught TypeError: ..."
+const CONSOLE_TIMESTAMP =
+  /^(\d{4}-\d{2}-\d{2}[T ][\d:.]+Z?|\d{1,2}:\d{2}:\d{2}(?:\.\d+)?)\s+/;
+const CONSOLE_SOURCE = /^(\S+?\.\w+):(\d+)\s+/;
+const CONSOLE_ERROR =
+  /\b(error|uncaught|exception|failed|refused|cannot|undefined is not)\b/i;
+const CONSOLE_WARN = /\b(warn(ing)?|deprecat\w*)\b/i;
+const STACK_LINE = /^\s+(at\s|@)|^\s*\S*@\S+:\d+:\d+$/;
+
+class HarImportService {
+  constructor() {
+    this.maxErrors = config.harImport.maxErrors;
+    this.maxBodyChars = config.harImport.maxBodyChars;
+  }
+
+  /**
+   * Turn an uploaded HAR (and optional console dump) into the structure the
+   * extension's formatDataForLLM() sends, so the same prompt applies
+   * @param {Object|String} har - HAR 1.2 document
+   * @param {String} consoleText - Raw console output copied from DevTools
+   * @returns {Object} - Error analysis data plus a parse summary
+   */
+  buildAnalysisData(har, consoleText) {
+    const log = this.parseHar(har);
+    const requests = log.entries.map((entry) => this.toApiEntry(entry));
+    const apiErrors = requests.filter((r) => r.isError);
+    const consoleErrors = this.parseConsoleLog(consoleText);
+
+    const timestamps = [
+      ...requests.map((r) => r.timestamp),
+      ...consoleErrors.map((e) => e.timestamp),
+    ]
+      .filter((t) => t && !isNaN(Date.parse(t))) // Console times may lack a date
+      .sort();
+
+    return {
+      data: {
+        type: "comprehensive_error_analysis",
+        summary: {
+          totalCrashes: 0,
+          totalApiErrors: apiErrors.length,
+          totalConsoleErrors: consoleErrors.length,
+          timeRange: {
+            from: timestamps[0] || null,
+            to: timestamps[timestamps.length - 1] || null,
+          },
+        },
+        // A HAR can't show a crash - only what the network and console saw
+        crashes: [],
+        apiErrors: apiErrors
+          .slice(0, this.maxErrors)
+          .map(({ isError, ...err }) => err),
+        consoleErrors: consoleErrors.slice(0, this.maxErrors),
+      },
+      parsed: {
+        pageUrl: log.pages?.[0]?.title || requests[0]?.url || null,
+        creator: log.creator?.name || null,
+        totalRequests: requests.length,
+        apiErrors: apiErrors.length,
+        consoleErrors: consoleErrors.length,
+      },
+    };
+  }
+
+  parseHar(har) {
+    let doc = har;
+    if (typeof har === "string") {
+      try {
+        doc = JSON.parse(har);
+      } catch (e) {
+        throw new Error(`Invalid HAR: ${e.message}`);
+      }
+    }
+    if (!doc?.log || !Array.isArray(doc.log.entries)) {
+      throw new Error("Invalid HAR: missing log.entries");
+    }
+    return doc.log;
+  }
+
+  toApiEntry(entry) {
+    const request = entry.request || {};
+    const response = entry.response || {};
+    const requestHeaders = this.headersToObject(request.headers);
+    const responseHeaders = this.headersToObject(response.headers);
+    const rawRequestBody = request.postData?.text || null;
+    const requestBody = this.redactBody(rawRequestBody);
+    const responseBody = this.redactBody(this.decodeContent(response.content));
+    const status = response.status || 0;
+
+    const traceHeader = TRACE_ID_HEADERS.find((h) => responseHeaders[h]);
+
+    return {
+      type: entry._resourceType || entry._initiator?.type || "request",
+      method: request.method,
+      url: this.redactText(request.url || ""),
+      status,
+      statusText: response.statusText || response._error || "",
+      duration: Math.round(entry.time || 0),
+      // HARs exported by the extension carry it as a custom field
+      traceId: entry._traceId || responseHeaders[traceHeader] || null,
+      graphql: this.graphqlOperation(rawRequestBody),
+      requestHeaders: this.redactHeaders(requestHeaders),
+      requestBody: this.truncate(requestBody),
+      responseHeaders: this.redactHeaders(responseHeaders),
+      responseBody: this.truncate(responseBody),
+      errorDetails: this.parseJson(responseBody),
+      timestamp: entry.startedDateTime,
+      // status 0 = blocked/aborted/failed before a response arrived
+      isError: status === 0 || status >= 400 || entry._isError === true,
+    };
+  }
+
+  headersToObject(headers) {
+    const out = {};
+    (headers || []).forEach(({ name, value }) => {
+      if (name) out[String(name).toLowerCase()] = value;
+    });
+    return out;
+  }
+
+  redactHeaders(headers) {
+    const out = { ...headers };
+    Object.keys(out).forEach((name) => {
+      out[name] = SENSITIVE_HEADERS.includes(name)
+        ? MASK
+        : this.redactString(String(out[name]));
+    });
+    return out;
+  }
+
+  /**
+   * Mask secrets and PII in a request/response body before it reaches the
+   * LLM - runs on the full body, before truncation breaks the JSON
+   * @param {String} text - Raw body
+   * @returns {String} - Body with sensitive keys and patterns masked
+   */
+  redactBody(text) {
+    if (!text) return text;
+    const parsed = this.parseJson(text);
+    if (parsed && typeof parsed === "object") {
+      return JSON.stringify(this.redactValue(parsed));
+    }
+    return this.redactText(text);
+  }
+
+  redactValue(node) {
+    if (typeof node === "string") return this.redactString(node);
+    if (Array.isArray(node))
+      return node.map((value) => this.redactValue(value));
+    if (node && typeof node === "object") {
+      const out = {};
+      Object.keys(node).forEach((key) => {
+        out[key] = SENSITIVE_KEY_SET.has(key.toLowerCase())
+          ? MASK
+          : this.redactValue(node[key]);
+      });
+      return out;
+    }
+    return node;
+  }
+
+  // Form bodies, URLs and console lines: sensitive params, then patterns
+  redactText(text) {
+    return this.redactString(
+      text.replace(
+        SENSITIVE_PARAM,
+        (match, lead, key) => `${lead}${key}=${MASK}`
+      )
+    );
+  }
+
+  redactString(text) {
+    return SENSITIVE_PATTERNS.reduce(
+      (out, pattern) =>
+        out.replace(pattern, (match) =>
+          pattern === CARD_NUMBER && !this.looksLikeCard(match) ? match : MASK
+        ),
+      text
+    );
+  }
+
+  // Network prefix + Luhn, so timestamps and numeric ids stay readable
+  looksLikeCard(text) {
+    const digits = text.replace(/\D/g, "");
+    if (!/^[2-6]/.test(digits)) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let d = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        d *= 2;
+        if (d > 9) d -= 9;
+      }
+      sum += d;
+    }
+    return sum % 10 === 0;
+  }
+
+  decodeContent(content) {
+    if (!content?.text) return "";
+    if (content.encoding !== "base64") return content.text;
+    try {
+      return Buffer.from(content.text, "base64").toString("utf8");
+    } catch {
+      return "";
+    }
+  }
+
+  graphqlOperation(body) {
+    const parsed = this.parseJson(body);
+    const op = Array.isArray(parsed) ? parsed[0] : parsed;
+    if (!op || typeof op.query !== "string") return undefined;
+
+    const match = op.query.match(/^\s*(query|mutation|subscription)\s+(\w+)?/);
+    return {
+      operationName: op.operationName || match?.[2] || null,
+      operationType: match?.[1] || "query",
+      batched: Array.isArray(parsed),
+    };
+  }
+
+  parseJson(text) {
+    if (!text || typeof text !== "string") return null;
+    try {
+      return JSON.parse(text);
+    } catch {
+      return null;
+    }
+  }
+
+  truncate(text) {
+    if (!text) return text;
+    return text.length > this.maxBodyChars
+      ? `${text.slice(0, this.maxBodyChars)}... [truncated]`
+      : text;
+  }
+
+  /**
+   * Parse a console dump (DevTools "Save as..." or copy/paste) into
+   * consoleErrors entries. Stack frames are folded into their message;
+   * info/log lines are dropped.
+   * @param {String} text - Raw console text
+   * @returns {Array<Object>} - Console errors and warnings
+   */
+  parseConsoleLog(text) {
+    if (!text || typeof text !== "string") return [];
+
+    const blocks = [];
+    text.split(/\r?\n/).forEach((line) => {
+      if (!line.trim()) return;
+      if (STACK_LINE.test(line) && blocks.length > 0) {
+        blocks[blocks.length - 1].stack.push(`    ${line.trim()}`);
+      } else {
+        blocks.push({ line: line.trim(), stack: [] });
+      }
+    });
+
+    return blocks
+      .map(({ line, stack }) => {
+        let message = line;
+        let timestamp = null;
+        let filename = null;
+        let lineno = null;
+
+        const time = message.match(CONSOLE_TIMESTAMP);
+        if (time) {
+          timestamp = time[1];
+          message = message.slice(time[0].length);
+        }
+        const source = message.match(CONSOLE_SOURCE);
+        if (source) {
+          filename = source[1];
+          lineno = parseInt(source[2], 10);
+          message = message.slice(source[0].length);
+        }
+
+        const isError = CONSOLE_ERROR.test(message) || stack.length > 0;
+        if (!isError && !CONSOLE_WARN.test(message)) return null;
+        // Pasted console output is as unmasked as the HAR itself
+        message = this.redactText(message);
+        const frames = stack.map((frame) => this.redactText(frame));
+
+        return {
+          type: isError ? "console.error" : "console.warn",
+          message,
+          errorType:
+            message.match(/\b(\w*Error)\b/)?.[1] ||
+            (isError ? "console.error" : "console.warn"),
+          stack: frames.length ? [message, ...frames].join("\n") : undefined,
+          filename,
+          lineno,
+          timestamp,
+        };
+      })
+      .filter(Boolean);
+  }
+}
+
+module.exports = new HarImportService();
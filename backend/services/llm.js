@@ -1,6 +1,9 @@
 const axios = require("axios");
 const config = require("../config/config");
 
+// Callers whose data follows the extension's formatDataForLLM() structure
+const ERROR_ANALYSIS_SOURCES = ["l2-agent-extension", "har-upload"];
+
 class LLMService {
   constructor() {
     this.apiUrl = config.llm.apiUrl;
@@ -65,7 +68,7 @@ class LLMService {
 
     // Check if this is error analysis from L2 Agent
     const isErrorAnalysis =
-      context?.source === "l2-agent-extension" && action === "analyze";
+      ERROR_ANALYSIS_SOURCES.includes(context?.source) && action === "analyze";
 
     if (isOpenAIFormat) {
       // Create a specialized prompt for error analysis
@@ -0,0 +1,432 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const config = require("../config/config");
+
+// Backend-proxied log search: the extension sends a trace ID, time window and
+// the failing request's URL; credentials for each environment's log backend
+// live only in this server's config (LOG_SEARCH_ENVIRONMENTS)
+
+const MAX_LOGS = 200;
+const MAX_TRACE_ID_LENGTH = 256;
+const INTERNAL_SEARCH_PATH = "/api/v2/logs/search";
+
+// =============================================
+// TEMPLATES & FIELD ACCESS
+// =============================================
+// {traceId} {startTime} {endTime} {startMs} {endMs} {origin}
+function fillTemplate(template, query, encode) {
+  const vars = {
+    traceId: query.traceId,
+    startTime: query.startTime,
+    endTime: query.endTime,
+    startMs: Date.parse(query.startTime),
+    endMs: Date.parse(query.endTime),
+    origin: query.origin,
+  };
+  return String(template).replace(/\{(\w+)\}/g, (match, name) =>
+    name in vars ? encode(String(vars[name] ?? "")) : match
+  );
+}
+
+const encodeJsonString = (value) => JSON.stringify(value).slice(1, -1);
+
+// Dot paths only ("hits.hits", "data.0.logs") - enough for response mapping
+function getPath(obj, path) {
+  if (!path) return obj;
+  return String(path)
+    .replace(/^\$\.?/, "")
+    .split(".")
+    .filter(Boolean)
+    .reduce((node, key) => (node == null ? undefined : node[key]), obj);
+}
+
+function firstField(obj, names) {
+  for (const name of names.filter(Boolean)) {
+    const value = getPath(obj, name);
+    if (value !== undefined && value !== null && value !== "") return value;
+  }
+  return null;
+}
+
+function normalizeLog(raw, env = {}) {
+  if (typeof raw === "string") {
+    return { timestamp: null, level: null, message: raw, service: null };
+  }
+  const message = firstField(raw, [
+    env.messageField,
+    "message",
+    "msg",
+    "log",
+    "text",
+  ]);
+  return {
+    timestamp: firstField(raw, [
+      env.timeField,
+      "timestamp",
+      "@timestamp",
+      "time",
+      "ts",
+    ]),
+    level: firstField(raw, [env.levelField, "level", "severity", "log.level"]),
+    message: message !== null ? String(message) : JSON.stringify(raw),
+    service: firstField(raw, [
+      env.serviceField,
+      "service",
+      "service.name",
+      "app",
+      "kubernetes.container_name",
+    ]),
+  };
+}
+
+// =============================================
+// PROVIDERS
+// =============================================
+// buildRequest(query, env) -> axios request config
+// parseResponse(data, env) -> { total, logs }
+const PROVIDERS = {
+  // The original log service's search API. The secret goes in the body, so
+  // the host always comes from config, never from the failing request
+  internal: {
+    required: ["endpoint"],
+    buildRequest(query, env) {
+      const base = env.endpoint.replace(/\/+$/, "");
+      return {
+        url: `${base}${env.path || INTERNAL_SEARCH_PATH}`,
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...env.headers },
+        data: {
+          query: query.traceId,
+          startTime: query.startTime,
+          endTime: query.endTime,
+          secret: env.secret,
+        },
+      };
+    },
+    parseResponse(data, env) {
+      const list = [data?.logs, data?.data?.logs, data?.results, data?.data]
+        .concat(Array.isArray(data) ? [data] : [])
+        .find(Array.isArray);
+      return {
+        total: data?.total ?? list?.length ?? 0,
+        logs: (list || []).map((log) => normalizeLog(log, env)),
+      };
+    },
+  },
+
+  // Elasticsearch / OpenSearch _search
+  elasticsearch: {
+    required: ["endpoint"],
+    buildRequest(query, env) {
+      const base = env.endpoint.replace(/\/+$/, "");
+      const timeField = env.timeField || "@timestamp";
+      return {
+        url: `${base}/${encodeURIComponent(env.index || "*")}/_search`,
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...env.headers },
+        data: {
+          size: env.size || MAX_LOGS,
+          sort: [{ [timeField]: "asc" }],
+          query: {
+            bool: {
+              filter: [
+                { term: { [env.traceField || "trace_id"]: query.traceId } },
+                {
+                  range: {
+                    [timeField]: { gte: query.startTime, lte: query.endTime },
+                  },
+                },
+              ],
+            },
+          },
+        },
+      };
+    },
+    parseResponse(data, env) {
+      const hits = data?.hits?.hits || [];
+      const total = data?.hits?.total;
+      return {
+        total: typeof total === "object" ? total.value : total ?? hits.length,
+        logs: hits.map((hit) => normalizeLog(hit._source || {}, env)),
+      };
+    },
+  },
+
+  // Grafana Loki query_range with a line filter on the trace ID
+  loki: {
+    required: ["endpoint"],
+    buildRequest(query, env) {
+      const base = env.endpoint.replace(/\/+$/, "");
+      const toNs = (iso) => `${Date.parse(iso)}000000`;
+      return {
+        url: `${base}/loki/api/v1/query_range`,
+        method: "GET",
+        headers: { ...env.headers },
+        params: {
+          query: `${env.selector || '{job=~".+"}'} |= ${JSON.stringify(
+            query.traceId
+          )}`,
+          start: toNs(query.startTime),
+          end: toNs(query.endTime),
+          limit: env.limit || MAX_LOGS,
+          direction: "forward",
+        },
+      };
+    },
+    parseResponse(data, env) {
+      const logs = [];
+      (data?.data?.result || []).forEach((stream) => {
+        (stream.values || []).forEach(([ns, line]) => {
+          let parsed = line;
+          try {
+            parsed = JSON.parse(line); // JSON log lines keep their fields
+          } catch {}
+          const log = normalizeLog(parsed, env);
+          logs.push({
+            ...log,
+            timestamp:
+              log.timestamp || new Date(Number(ns) / 1e6).toISOString(),
+            level: log.level || stream.stream?.level || null,
+            service:
+              log.service ||
+              stream.stream?.service ||
+              stream.stream?.app ||
+              null,
+          });
+        });
+      });
+      return { total: logs.length, logs };
+    },
+  },
+
+  // Anything else: URL/body templates plus a path to the results array
+  http: {
+    required: ["url"],
+    buildRequest(query, env) {
+      const method = (env.method || "GET").toUpperCase();
+      return {
+        url: fillTemplate(env.url, query, encodeURIComponent),
+        method,
+        headers: {
+          ...(env.body ? { "Content-Type": "application/json" } : {}),
+          ...env.headers,
+        },
+        data:
+          env.body && method !== "GET"
+            ? fillTemplate(
+                typeof env.body === "string"
+                  ? env.body
+                  : JSON.stringify(env.body),
+                query,
+                encodeJsonString
+              )
+            : undefined,
+      };
+    },
+    parseResponse(data, env) {
+      const list = getPath(data, env.resultsPath);
+      const logs = Array.isArray(list) ? list : [];
+      // getPath without a path is the whole body - only read a configured one
+      const total = env.totalPath ? Number(getPath(data, env.totalPath)) : NaN;
+      return {
+        total: Number.isFinite(total) ? total : logs.length,
+        logs: logs.map((log) => normalizeLog(log, env)),
+      };
+    },
+  },
+};
+
+function domainMatches(hostname, pattern) {
+  const escaped = String(pattern)
+    .trim()
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`, "i").test(hostname);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest();
+}
+
+// Errors carry an HTTP status for the route (same field express uses)
+function searchError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class LogSearchService {
+  constructor() {
+    this.environments = config.logSearch.environments;
+    this.timeout = config.logSearch.timeout;
+    this.maxWindowMs = config.logSearch.maxWindowMs;
+    // Tokens are compared by hash so lookups don't leak timing
+    this.users = Object.entries(config.logSearch.users).map(
+      ([token, user]) => ({
+        hash: hashToken(token),
+        name: user.name || "unnamed",
+        environments: [].concat(user.environments || []),
+      })
+    );
+
+    this.validateEnvironments().forEach((error) =>
+      console.warn(`Log search config: ${error}`)
+    );
+  }
+
+  validateEnvironments() {
+    return this.environments.flatMap((env, idx) =>
+      this.environmentErrors(env, env.name || `Environment ${idx + 1}`)
+    );
+  }
+
+  environmentErrors(env, label) {
+    const errors = [];
+    const provider = PROVIDERS[env.provider];
+    if (!env.name) errors.push(`${label}: "name" is required`);
+    if (!provider) {
+      errors.push(
+        `${label}: "provider" must be one of ${Object.keys(PROVIDERS).join(
+          ", "
+        )}`
+      );
+      return errors;
+    }
+    provider.required.forEach((field) => {
+      if (!env[field]) errors.push(`${label}: "${field}" is required`);
+    });
+    // {origin} comes from the caller; credentials only go to configured hosts
+    if (env.provider === "http" && /\{origin\}/.test(env.url || "")) {
+      errors.push(`${label}: "url" can't use {origin}`);
+    }
+    return errors;
+  }
+
+  /**
+   * Look up the caller from a bearer token
+   * @param {String} token - Token sent by the extension
+   * @returns {Object|null} - { name, environments } or null if unknown
+   */
+  authenticate(token) {
+    if (!token) return null;
+    const hash = hashToken(token);
+    return (
+      this.users.find((user) => crypto.timingSafeEqual(user.hash, hash)) || null
+    );
+  }
+
+  canQuery(user, env) {
+    return (
+      user.environments.includes("*") || user.environments.includes(env.name)
+    );
+  }
+
+  /**
+   * Pick the environment whose domains match the failing request
+   * @param {String} url - Failed API URL
+   * @returns {Object|null} - Environment config
+   */
+  resolveEnvironment(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch {
+      return null;
+    }
+    return (
+      this.environments.find((env) =>
+        [].concat(env.domains || []).some((d) => domainMatches(hostname, d))
+      ) || null
+    );
+  }
+
+  /**
+   * Environments a user may query - names and domains only, no credentials
+   * @param {Object} user - From authenticate()
+   * @returns {Array<Object>} - [{ name, provider, domains }]
+   */
+  listEnvironments(user) {
+    return this.environments
+      .filter((env) => this.canQuery(user, env))
+      .map((env) => ({
+        name: env.name,
+        provider: env.provider,
+        domains: [].concat(env.domains || []),
+      }));
+  }
+
+  /**
+   * Search logs for a trace ID in the environment that owns the failing URL
+   * @param {Object} query - { traceId, startTime, endTime, url }
+   * @param {Object} user - From authenticate()
+   * @returns {Promise<Object>} - { environment, provider, total, logs }
+   */
+  async search(query, user) {
+    const { traceId, startTime, endTime, url } = query;
+
+    if (typeof traceId !== "string" || !traceId.trim()) {
+      throw searchError("traceId is required", 400);
+    }
+    if (traceId.length > MAX_TRACE_ID_LENGTH) {
+      throw searchError("traceId is too long", 400);
+    }
+    const start = Date.parse(startTime);
+    const end = Date.parse(endTime);
+    if (isNaN(start) || isNaN(end) || end < start) {
+      throw searchError("startTime and endTime must be ISO dates", 400);
+    }
+    if (end - start > this.maxWindowMs) {
+      throw searchError(
+        `Time window is limited to ${this.maxWindowMs / 60000} minutes`,
+        400
+      );
+    }
+
+    const env = this.resolveEnvironment(url);
+    if (!env || !PROVIDERS[env.provider]) {
+      throw searchError("No log environment configured for this domain", 404);
+    }
+    if (this.environmentErrors(env, env.name).length > 0) {
+      throw searchError(`Log environment ${env.name} is misconfigured`, 500);
+    }
+    if (!this.canQuery(user, env)) {
+      throw searchError(`Not allowed to search logs in ${env.name}`, 403);
+    }
+
+    const provider = PROVIDERS[env.provider];
+    const request = provider.buildRequest(
+      {
+        traceId: traceId.trim(),
+        startTime: new Date(start).toISOString(),
+        endTime: new Date(end).toISOString(),
+        origin: new URL(url).origin,
+      },
+      env
+    );
+
+    let response;
+    try {
+      response = await axios({ ...request, timeout: this.timeout });
+    } catch (error) {
+      const reason = error.response
+        ? `${error.response.status} ${error.response.statusText}`
+        : error.code === "ECONNABORTED"
+        ? "Timed out"
+        : error.message;
+      // Upstream details stay in the server log; the caller gets the status
+      console.error(`Log search (${env.name}) failed:`, reason);
+      throw searchError(`Log backend error: ${reason}`, 502);
+    }
+
+    const { total, logs } = provider.parseResponse(response.data, env);
+    return {
+      environment: env.name,
+      provider: env.provider,
+      total,
+      logs: logs.slice(0, MAX_LOGS),
+    };
+  }
+}
+
+module.exports = new LogSearchService();
@@ -0,0 +1,375 @@
+const axios = require("axios");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { SourceMapConsumer } = require("source-map");
+const config = require("../config/config");
+
+// Chrome/Edge: "    at fn (https://host/app.js:1:2345)" or "    at https://host/app.js:1:2345"
+const V8_FRAME =
+  /^\s*at (?:(.*?) \()?((?:https?|file|webpack|blob):.*?):(\d+):(\d+)\)?\s*$/;
+// Firefox/Safari: "fn@https://host/app.js:1:2345"
+const GECKO_FRAME =
+  /^\s*(.*?)@((?:https?|file|webpack|blob):.*?):(\d+):(\d+)\s*$/;
+
+const SOURCE_MAPPING_URL = /\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/m;
+
+// Frame URLs come from the client, so fetches are limited to the configured
+// origins and never reach the backend's own network
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // Link-local, cloud metadata
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3], // Multicast and reserved
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6")
+);
+
+function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], "ipv4");
+  return BLOCKED_ADDRESSES.check(
+    address,
+    net.isIPv6(address) ? "ipv6" : "ipv4"
+  );
+}
+
+// Checked at connect time, so DNS rebinding can't swap in a private address
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((a) => isBlockedAddress(a.address));
+    if (blocked) {
+      return callback(
+        new Error(
+          `${hostname} resolves to a private address (${blocked.address})`
+        )
+      );
+    }
+    callback(null, address, family);
+  });
+}
+
+// Timeouts, dropped connections and server errors can clear up - only
+// definitive misses (404, no sourceMappingURL, blocked, too large) are cached
+const TRANSIENT_ERROR_CODES = [
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "EAI_AGAIN",
+];
+
+function isTransientFetchError(error) {
+  const status = error.response?.status;
+  if (status) return status >= 500 || status === 429;
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+// "https://*.example.com" - "*" matches any subdomain, ports must be listed
+function originMatches(origin, pattern) {
+  const escaped = pattern
+    .replace(/\/+$/, "")
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[a-z0-9.-]*");
+  return new RegExp(`^${escaped}$`, "i").test(origin);
+}
+
+class SymbolicationService {
+  constructor() {
+    this.fetchRemoteMaps = config.symbolication.fetchRemoteMaps;
+    this.allowedOrigins = config.symbolication.allowedOrigins;
+    this.maxBytes = config.symbolication.maxBytes;
+    this.timeout = config.symbolication.timeout;
+    this.httpAgent = new http.Agent({ lookup: publicOnlyLookup });
+    this.httpsAgent = new https.Agent({ lookup: publicOnlyLookup });
+    this.maxCachedMaps = config.symbolication.maxCachedMaps;
+
+    // Uploaded maps never expire; fetched maps (or misses) are cached LRU-style
+    this.uploadedMaps = new Map();
+    this.fetchedMaps = new Map();
+  }
+
+  /**
+   * Register an uploaded source map for a generated file
+   * @param {String} file - Generated file URL (or bare file name, e.g. "main.3f2a.js")
+   * @param {Object|String} map - Source map JSON
+   * @returns {Object} - Summary of the stored map
+   */
+  addSourceMap(file, map) {
+    const raw = typeof map === "string" ? JSON.parse(map) : map;
+    if (!raw || !raw.mappings || !Array.isArray(raw.sources)) {
+      throw new Error("Invalid source map: missing mappings or sources");
+    }
+
+    const key = this.normalizeFileKey(file);
+    this.uploadedMaps.set(key, raw);
+
+    return { file: key, sources: raw.sources.length };
+  }
+
+  /**
+   * List uploaded source maps
+   * @returns {Array<Object>} - Uploaded map summaries
+   */
+  listSourceMaps() {
+    return [...this.uploadedMaps.entries()].map(([file, raw]) => ({
+      file,
+      sources: raw.sources.length,
+    }));
+  }
+
+  normalizeFileKey(file) {
+    return String(file || "")
+      .split("#")[0]
+      .split("?")[0];
+  }
+
+  baseName(file) {
+    const key = this.normalizeFileKey(file);
+    return key.slice(key.lastIndexOf("/") + 1);
+  }
+
+  /**
+   * Parse a JS stack trace into frames
+   * @param {String} stack - Raw stack string
+   * @returns {Array<Object>} - Parsed frames
+   */
+  parseStack(stack) {
+    if (!stack || typeof stack !== "string") return [];
+
+    const frames = [];
+    stack.split("\n").forEach((line) => {
+      const match = line.match(V8_FRAME) || line.match(GECKO_FRAME);
+      if (!match) return;
+
+      frames.push({
+        functionName: match[1] || null,
+        file: match[2],
+        line: parseInt(match[3], 10),
+        column: parseInt(match[4], 10),
+        raw: line.trim(),
+      });
+    });
+    return frames;
+  }
+
+  /**
+   * Find a source map for a generated file: uploaded first, then sourceMappingURL
+   * @param {String} file - Generated file URL
+   * @returns {Promise<Object|null>} - Raw source map or null
+   */
+  async getSourceMap(file) {
+    const key = this.normalizeFileKey(file);
+
+    if (this.uploadedMaps.has(key)) return this.uploadedMaps.get(key);
+    const byName = this.uploadedMaps.get(this.baseName(key));
+    if (byName) return byName;
+
+    if (!this.fetchRemoteMaps || !this.isFetchAllowed(key)) return null;
+
+    if (this.fetchedMaps.has(key)) {
+      // Refresh LRU position
+      const cached = this.fetchedMaps.get(key);
+      this.fetchedMaps.delete(key);
+      this.fetchedMaps.set(key, cached);
+      return cached;
+    }
+
+    let raw = null;
+    try {
+      raw = await this.fetchSourceMap(key);
+    } catch (error) {
+      console.error(`Source map fetch failed for ${key}:`, error.message);
+      if (isTransientFetchError(error)) return null;
+    }
+
+    // Cache misses too, so we don't refetch a bundle on every error
+    this.fetchedMaps.set(key, raw);
+    if (this.fetchedMaps.size > this.maxCachedMaps) {
+      this.fetchedMaps.delete(this.fetchedMaps.keys().next().value);
+    }
+    return raw;
+  }
+
+  /**
+   * Whether a bundle or map URL may be fetched: http(s), on an allowed origin
+   * and not a private IP literal (hostnames are checked when they resolve)
+   * @param {String} url - Absolute URL
+   * @returns {Boolean}
+   */
+  isFetchAllowed(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return false;
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) return false;
+    if (!this.allowedOrigins.some((o) => originMatches(parsed.origin, o))) {
+      return false;
+    }
+    const host = parsed.hostname.replace(/^\[|\]$/g, "");
+    return !(net.isIP(host) && isBlockedAddress(host));
+  }
+
+  // Size-capped, no redirects (they could leave the allowed origins)
+  fetchLimited(url, options = {}) {
+    return axios.get(url, {
+      ...options,
+      timeout: this.timeout,
+      maxRedirects: 0,
+      maxContentLength: this.maxBytes,
+      httpAgent: this.httpAgent,
+      httpsAgent: this.httpsAgent,
+    });
+  }
+
+  /**
+   * Fetch a generated file and follow its sourceMappingURL (same origin only)
+   * @param {String} fileUrl - Generated file URL
+   * @returns {Promise<Object|null>} - Raw source map or null
+   */
+  async fetchSourceMap(fileUrl) {
+    const script = await this.fetchLimited(fileUrl, {
+      responseType: "text",
+      transformResponse: (data) => data,
+    });
+
+    const headerRef =
+      script.headers["sourcemap"] || script.headers["x-sourcemap"];
+    const commentRef = String(script.data || "").match(SOURCE_MAPPING_URL);
+    const mapRef = headerRef || (commentRef && commentRef[1]);
+    if (!mapRef) return null;
+
+    // Inline map: //# sourceMappingURL=data:application/json;base64,...
+    if (mapRef.startsWith("data:")) {
+      const [meta, payload] = mapRef.split(",", 2);
+      const json = meta.includes(";base64")
+        ? Buffer.from(payload, "base64").toString("utf8")
+        : decodeURIComponent(payload);
+      return JSON.parse(json);
+    }
+
+    const mapUrl = new URL(mapRef, fileUrl);
+    if (
+      mapUrl.origin !== new URL(fileUrl).origin ||
+      !this.isFetchAllowed(mapUrl.href)
+    ) {
+      console.warn(`Skipping cross-origin source map ${mapUrl.href}`);
+      return null;
+    }
+
+    const map = await this.fetchLimited(mapUrl.href);
+    return typeof map.data === "string" ? JSON.parse(map.data) : map.data;
+  }
+
+  /**
+   * Resolve frames to original file/line/function via source maps
+   * @param {Array<Object>} frames - Frames from parseStack
+   * @returns {Promise<Array<Object>>} - Frames with an `original` field where resolved
+   */
+  async symbolicateFrames(frames) {
+    const byFile = new Map();
+    frames.forEach((frame) => {
+      const key = this.normalizeFileKey(frame.file);
+      if (!byFile.has(key)) byFile.set(key, []);
+      byFile.get(key).push(frame);
+    });
+
+    for (const [file, fileFrames] of byFile) {
+      const raw = await this.getSourceMap(file);
+      if (!raw) continue;
+
+      try {
+        await SourceMapConsumer.with(raw, null, (consumer) => {
+          fileFrames.forEach((frame) => {
+            const pos = consumer.originalPositionFor({
+              line: frame.line,
+              // Stack columns are 1-based, source-map columns are 0-based
+              column: Math.max(frame.column - 1, 0),
+            });
+            if (pos.source) {
+              frame.original = {
+                source: pos.source,
+                line: pos.line,
+                column: pos.column,
+                name: pos.name || frame.functionName,
+              };
+            }
+          });
+        });
+      } catch (error) {
+        console.error(
+          `Source map for ${file} could not be read:`,
+          error.message
+        );
+      }
+    }
+
+    return frames;
+  }
+
+  /**
+   * Symbolicate a single captured error
+   * @param {Object} params - Error location
+   * @param {String} params.stack - Raw stack string
+   * @param {String} params.filename - Error filename (used when there is no stack)
+   * @param {Number} params.lineno - Error line
+   * @param {Number} params.colno - Error column
+   * @returns {Promise<Object>} - Resolved frames and a readable stack string
+   */
+  async symbolicate({ stack, filename, lineno, colno }) {
+    let frames = this.parseStack(stack);
+
+    if (frames.length === 0 && filename && lineno) {
+      frames = [
+        {
+          functionName: null,
+          file: filename,
+          line: lineno,
+          column: colno || 1,
+          raw: `${filename}:${lineno}:${colno || 1}`,
+        },
+      ];
+    }
+
+    await this.symbolicateFrames(frames);
+
+    const resolvedCount = frames.filter((f) => f.original).length;
+    return {
+      frames,
+      resolvedCount,
+      resolvedStack: resolvedCount > 0 ? this.formatStack(frames) : null,
+    };
+  }
+
+  formatStack(frames) {
+    return frames
+      .map((frame) => {
+        if (!frame.original) return `    ${frame.raw}`;
+        const { source, line, column, name } = frame.original;
+        const location = `${source}:${line}:${column + 1}`;
+        return name ? `    at ${name} (${location})` : `    at ${location}`;
+      })
+      .join("\n");
+  }
+}
+
+module.exports = new SymbolicationService();
@@ -2,62 +2,86 @@
 // This service calls the backend API to fetch logs when a valid XHR API fails
 
 /**
- * Gets the base URL from the current page (domain where API failed)
- * @param {string} failedApiUrl - The URL of the failed API call
- * @returns {string} Base URL (protocol + hostname + port)
+ * Gets the L2 Agent backend URL configured on the options page
+ * @returns {Promise<string>} Backend base URL without trailing slash
  */
-function getBaseUrlFromFailedApi(failedApiUrl) {
+async function getBackendUrl() {
   try {
-    const url = new URL(failedApiUrl);
-    return `${url.protocol}//${url.host}`;
+    return (await L2Settings.load()).backendUrl;
   } catch (e) {
-    // Fallback to current page origin if URL parsing fails
-    return window.location ? window.location.origin : "http://localhost:3000";
+    return L2Settings.DEFAULTS.backendUrl;
   }
 }
 
 /**
- * Fetches logs from the backend API using traceId
+ * Gets the user's log search token from the options page
+ * @returns {Promise<string>} Token, or "" if none is set
+ */
+async function getLogSearchToken() {
+  try {
+    return (await L2Settings.load()).logSearchToken;
+  } catch (e) {
+    return "";
+  }
+}
+
+/**
+ * Fetches logs for a traceId through the L2 Agent backend, which picks the
+ * log environment for the failing domain and holds its credentials
  * @param {string} traceId - The trace ID from the API error
  * @param {string} startTime - ISO timestamp for search start
  * @param {string} endTime - ISO timestamp for search end
- * @param {string} baseUrl - Base URL of the domain where API failed
- * @returns {Promise<Object>} API response with logs
+ * @param {string} failedApiUrl - URL of the failed API (selects the environment)
+ * @param {string} [token] - Log search token (defaults to saved settings)
+ * @returns {Promise<Object>} { success, environment, provider, total, logs } or { success: false, error }
  */
-async function fetchLogsWithTraceId(traceId, startTime, endTime, baseUrl) {
-  try {
-    // Use the hardcoded secret from config (not session cookies)
-    const secret = CONFIG.LOG_SEARCH_SECRET;
-
-    const payload = {
-      query: traceId,
-      startTime,
-      endTime,
-      secret,
-    };
+async function fetchLogsWithTraceId(
+  traceId,
+  startTime,
+  endTime,
+  failedApiUrl,
+  token
+) {
+  const logSearchToken = token || (await getLogSearchToken());
+  if (!logSearchToken) {
+    return { success: false, error: "No log search token configured" };
+  }
 
-    // Build API URL: <domain>/api/v2/logs/search
-    const apiUrl = `${baseUrl}${CONFIG.API_LOG_SEARCH_PATH}`;
+  const backendUrl = await getBackendUrl();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CONFIG.API_TIMEOUT);
 
-    const response = await fetch(apiUrl, {
+  try {
+    const response = await fetch(`${backendUrl}${CONFIG.LOG_SEARCH.PATH}`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
+        Authorization: `Bearer ${logSearchToken}`,
       },
-      body: JSON.stringify(payload),
+      body: JSON.stringify({
+        traceId,
+        startTime,
+        endTime,
+        url: failedApiUrl,
+      }),
+      signal: controller.signal,
     });
 
+    const data = await response.json().catch(() => ({}));
     if (!response.ok) {
       throw new Error(
-        `API call failed: ${response.status} ${response.statusText}`
+        data.error ||
+          data.message ||
+          `API call failed: ${response.status} ${response.statusText}`
       );
     }
-
-    const data = await response.json();
-    return { success: true, data };
+    return data;
   } catch (error) {
-    console.error("L2 API Error:", error);
-    return { success: false, error: error.message };
+    const message = error.name === "AbortError" ? "Timed out" : error.message;
+    console.error("L2 API Error:", message);
+    return { success: false, error: message };
+  } finally {
+    clearTimeout(timer);
   }
 }
 
@@ -84,9 +108,13 @@ function isValidXhrApiFailure(errorData) {
     return false;
   }
 
-  // Must be a failed XHR/fetch request (4xx or 5xx status)
+  // Must be a failed XHR/fetch request (4xx or 5xx status), or a 200 whose
+  // body reports the failure (GraphQL errors[] or a soft failure rule match)
   const status = errorData?.status || 0;
-  if (status < 400) {
+  const failedInBody = Boolean(
+    errorData?.graphql?.errors || errorData?.softError
+  );
+  if (status < 400 && !failedInBody) {
     return false;
   }
 
@@ -211,9 +239,6 @@ async function handleApiErrorLogFetch(errorData) {
     return null;
   }
 
-  // Get base URL from the failed API's domain
-  const baseUrl = getBaseUrlFromFailedApi(errorData.url);
-
   // Calculate time window
   const errorTime = new Date(errorData.timestamp);
   const startTime = new Date(
@@ -223,20 +248,24 @@ async function handleApiErrorLogFetch(errorData) {
     errorTime.getTime() + CONFIG.LOG_SEARCH_WINDOW.AFTER_CRASH
   ).toISOString();
 
-  // Call API with base URL from failed API's domain
+  // The backend picks the log environment by the failed API's domain
   const result = await fetchLogsWithTraceId(
     traceId,
     startTime,
     endTime,
-    baseUrl
+    errorData.url
   );
 
   // Attach the API response to the error data for later reference
   if (result.success && errorData) {
-    errorData.apiLogs = result.data;
+    errorData.apiLogs = {
+      environment: result.environment,
+      provider: result.provider,
+      total: result.total,
+      logs: result.logs,
+    };
     errorData.apiLogsFetched = true;
     errorData.apiLogsFetchedAt = new Date().toISOString();
-    errorData.apiLogsUrl = `${baseUrl}${CONFIG.API_LOG_SEARCH_PATH}`;
   }
 
   return result;
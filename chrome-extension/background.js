@@ -3,21 +3,20 @@
 
 // Import configuration and API service
 importScripts("config.js");
+importScripts("settings.js");
+importScripts("eventStore.js");
 importScripts("apiService.js");
+importScripts("symbolicationService.js");
+importScripts("redaction.js");
 
-let isTrackingEnabled = false;
+let settings = L2Settings.normalize(); // Replaced once storage loads
 
-// Error storage with enhanced structure
-const db = {
-  crashes: [],
-  apiErrors: [],
-  apiRequests: [],
-  consoleErrors: [],
-  pageErrors: [],
-  screenshots: [],
-  // Session tracking for correlation
-  sessions: {},
-};
+// Events live in IndexedDB (eventStore.js); sessions are updated on every
+// event, so they're kept here too and written through on change
+let sessions = {};
+
+// Muted issues still record events but don't notify or count toward the badge
+let mutedFingerprints = new Set();
 
 // =============================================
 // INIT
@@ -30,54 +29,200 @@ chrome.runtime.onInstalled.addListener((details) => {
     });
   }
 
-  loadFromStorage();
-});
-
-// Load state when service worker starts (including after browser restart)
-chrome.runtime.onStartup.addListener(() => {
-  loadFromStorage();
+  // Registered scripts survive restarts but not reinstalls or updates
+  storeReady.then(syncContentScripts);
 });
 
-// Also load on service worker activation
-loadFromStorage();
+// Runs every time the service worker starts (browser start, wake-ups);
+// events wait on it so sessions aren't recreated over stored ones
+const storeReady = loadFromStorage();
 
 async function loadFromStorage() {
   try {
-    const result = await chrome.storage.local.get([
-      "errorDb",
-      "userConsent",
-      "trackingEnabled",
-    ]);
-    if (result.errorDb) {
-      Object.assign(db, result.errorDb);
+    settings = await L2Settings.load();
+
+    // Events used to be one chrome.storage blob, rewritten on every change
+    const { errorDb } = await chrome.storage.local.get(["errorDb"]);
+    if (errorDb) {
+      await L2EventStore.importLegacy(errorDb);
+      await chrome.storage.local.remove("errorDb");
     }
-    isTrackingEnabled =
-      result.userConsent === true && result.trackingEnabled !== false;
+
+    sessions = await L2EventStore.getSessions();
+    mutedFingerprints = new Set(
+      (await L2EventStore.getIssues())
+        .filter((issue) => issue.status === "muted")
+        .map((issue) => issue.fingerprint)
+    );
     updateBadge();
+    scheduleRetention();
   } catch (e) {
     console.error("Load error:", e);
   }
 }
 
-async function saveToStorage() {
+L2Settings.onChange((updated) => {
+  const shrunk = updated.maxErrors < settings.maxErrors;
+  const domainsChanged =
+    JSON.stringify([updated.allowedDomains, updated.deniedDomains]) !==
+    JSON.stringify([settings.allowedDomains, settings.deniedDomains]);
+  const retentionChanged =
+    JSON.stringify(updated.retention) !== JSON.stringify(settings.retention);
+  settings = updated;
+  if (retentionChanged) runRetention().catch(() => {});
+  if (shrunk) {
+    L2EventStore.trim(L2Settings.storageLimits(settings))
+      .then(updateBadge)
+      .catch((e) => console.error("L2 BG: Trim failed", e));
+  }
+  if (domainsChanged) syncContentScripts();
+});
+
+// Appends an event to its list, capped by "Maximum Stored Errors"
+function storeEvent(list, entry) {
+  return L2EventStore.append(
+    list,
+    entry,
+    L2Settings.storageLimits(settings)[list]
+  );
+}
+
+// Writes a late enrichment (backend logs, resolved stacks) onto the stored event
+function amendEvent(list, entry) {
+  L2EventStore.amend(list, entry).catch((e) =>
+    console.error("L2 BG: Failed to update stored event", e)
+  );
+}
+
+function persistSession(sessionId) {
+  if (!sessions[sessionId]) return;
+  L2EventStore.putSession(sessions[sessionId]).catch((e) =>
+    console.error("L2 BG: Failed to save session", e)
+  );
+}
+
+// =============================================
+// RETENTION - age and size limits per list, run on an alarm
+// =============================================
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CONFIG.RETENTION.ALARM) runRetention().catch(() => {});
+});
+
+// Alarms outlive the service worker; only (re)create one that's missing
+async function scheduleRetention() {
+  const existing = await chrome.alarms.get(CONFIG.RETENTION.ALARM);
+  if (!existing) {
+    chrome.alarms.create(CONFIG.RETENTION.ALARM, {
+      delayInMinutes: 1,
+      periodInMinutes: CONFIG.RETENTION.INTERVAL_MINUTES,
+    });
+  }
+}
+
+async function runRetention() {
+  await storeReady;
   try {
-    const data = {
-      crashes: db.crashes.slice(-50),
-      apiErrors: db.apiErrors.slice(-200),
-      apiRequests: db.apiRequests.slice(-200),
-      consoleErrors: db.consoleErrors.slice(-200),
-      pageErrors: db.pageErrors.slice(-100),
-      screenshots: db.screenshots.slice(-30),
-      sessions: db.sessions,
-    };
-    await chrome.storage.local.set({ errorDb: data });
+    const removed = await L2EventStore.applyRetention(settings.retention);
+
+    // Sessions go once they're older than every list's age limit
+    const ages = Object.values(settings.retention).map((p) => p.maxAgeDays);
+    if (!ages.includes(0)) {
+      const cutoff = Date.now() - Math.max(...ages) * 24 * 60 * 60 * 1000;
+      const stale = Object.values(sessions)
+        .filter((s) => new Date(s.startTime).getTime() < cutoff)
+        .map((s) => s.id);
+      if (stale.length > 0) {
+        stale.forEach((id) => delete sessions[id]);
+        await L2EventStore.removeSessions(stale);
+        removed.sessions = stale.length;
+      }
+    }
+
+    const issueCutoff = new Date(
+      Date.now() - CONFIG.RETENTION.ISSUE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000
+    ).toISOString();
+    const staleIssues = await L2EventStore.removeStaleIssues(issueCutoff);
+    if (staleIssues > 0) removed.issues = staleIssues;
+
+    const lastCleanup = { at: new Date().toISOString(), removed };
+    await chrome.storage.local.set({ lastCleanup });
+    updateBadge();
+    return lastCleanup;
   } catch (e) {
-    console.error("Save error:", e);
+    console.error("L2 BG: Retention cleanup failed", e);
+    throw e;
+  }
+}
+
+// =============================================
+// CONTENT SCRIPT REGISTRATION - follows the domain lists in options
+// =============================================
+const CONTENT_SCRIPT_ID = "l2-agent-content";
+const CONTENT_SCRIPT_FILES = ["settings.js", "content.js"];
+let contentScriptSync = Promise.resolve();
+
+// Host access granted or revoked from options, the popup or chrome://extensions
+chrome.permissions.onAdded.addListener(() => syncContentScripts());
+chrome.permissions.onRemoved.addListener(() => syncContentScripts());
+
+// Queued so overlapping changes can't register the same ID twice
+function syncContentScripts() {
+  contentScriptSync = contentScriptSync
+    .then(registerContentScripts)
+    .then(injectIntoOpenTabs)
+    .catch((e) => console.error("L2 BG: Content script sync failed", e));
+  return contentScriptSync;
+}
+
+// Allowed patterns still waiting on a permission prompt are left out until
+// the user grants them
+async function registerContentScripts() {
+  const matches = [];
+  for (const entry of settings.allowedDomains) {
+    const origin = L2Settings.toMatchPattern(entry);
+    if (await chrome.permissions.contains({ origins: [origin] })) {
+      matches.push(origin);
+    }
+  }
+
+  const registered = await chrome.scripting.getRegisteredContentScripts({
+    ids: [CONTENT_SCRIPT_ID],
+  });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({
+      ids: [CONTENT_SCRIPT_ID],
+    });
   }
+  if (matches.length === 0) return;
+
+  await chrome.scripting.registerContentScripts([
+    {
+      id: CONTENT_SCRIPT_ID,
+      matches,
+      excludeMatches: settings.deniedDomains.map(L2Settings.toMatchPattern),
+      js: CONTENT_SCRIPT_FILES,
+      runAt: "document_start",
+      allFrames: true,
+    },
+  ]);
 }
 
-// Auto-save every 10 seconds
-setInterval(saveToStorage, 10000);
+// Tabs already open on a newly allowed site start tracking without a reload
+// (errors from before this point are missed). content.js ignores repeats.
+async function injectIntoOpenTabs() {
+  const tabs = await chrome.tabs.query({ url: ["http://*/*", "https://*/*"] });
+  for (const tab of tabs) {
+    if (!L2Settings.isUrlTracked(settings, tab.url)) continue;
+    chrome.scripting
+      .executeScript({
+        target: { tabId: tab.id, allFrames: true },
+        files: CONTENT_SCRIPT_FILES,
+      })
+      .catch(() => {
+        // No host access for this tab yet
+      });
+  }
+}
 
 // =============================================
 // SESSION TRACKING
@@ -85,34 +230,93 @@ setInterval(saveToStorage, 10000);
 function getOrCreateSession(sessionId, pageUrl) {
   if (!sessionId) return null;
 
-  if (!db.sessions[sessionId]) {
-    db.sessions[sessionId] = {
+  if (!sessions[sessionId]) {
+    sessions[sessionId] = {
       id: sessionId,
       startTime: new Date().toISOString(),
       pageUrl,
       errorCount: 0,
       apiErrorCount: 0,
       crashCount: 0,
+      // Per-route breakdown for single-page apps
+      currentRoute: null,
+      currentUrl: pageUrl,
+      routes: {},
+      routeHistory: [],
+      performance: null, // Latest Web Vitals snapshot from the page
     };
   }
-  return db.sessions[sessionId];
+
+  const session = sessions[sessionId];
+  // Sessions stored before route tracking existed
+  if (!session.routes) {
+    session.routes = {};
+    session.routeHistory = [];
+  }
+  return session;
+}
+
+function getOrCreateRouteStats(session, route, url) {
+  if (!session.routes[route]) {
+    session.routes[route] = {
+      route,
+      sampleUrl: url,
+      firstSeen: new Date().toISOString(),
+      lastSeen: null,
+      visits: 0,
+      timeSpentMs: 0,
+      errorCount: 0,
+      apiErrorCount: 0,
+      crashCount: 0,
+    };
+  }
+  return session.routes[route];
+}
+
+function enterRoute(session, route, url, timestamp) {
+  const stats = getOrCreateRouteStats(session, route, url);
+  stats.visits++;
+  stats.lastSeen = timestamp;
+
+  session.currentRoute = route;
+  session.currentUrl = url;
+  session.routeHistory.push({ route, url, enteredAt: timestamp });
+  if (session.routeHistory.length > 100) session.routeHistory.shift();
+}
+
+function recordRouteChange(session, change) {
+  if (change.fromRoute && session.routes[change.fromRoute]) {
+    session.routes[change.fromRoute].timeSpentMs +=
+      change.timeOnPreviousRoute || 0;
+  }
+  enterRoute(session, change.route, change.to, change.timestamp);
 }
 
-function updateSessionStats(sessionId, type) {
-  const session = db.sessions[sessionId];
+function updateSessionStats(sessionId, type, route) {
+  const session = sessions[sessionId];
   if (!session) return;
 
+  const routeKey = route || session.currentRoute;
+  const routeStats = routeKey
+    ? getOrCreateRouteStats(session, routeKey, session.currentUrl)
+    : null;
+
   switch (type) {
     case "page_error":
     case "console_error":
     case "promise_rejection":
+    case "worker_error":
       session.errorCount++;
+      if (routeStats) routeStats.errorCount++;
       break;
     case "api_error":
+    case "resource_error":
       session.apiErrorCount++;
+      if (routeStats) routeStats.apiErrorCount++;
       break;
     case "crash_detected":
       session.crashCount++;
+      if (routeStats) routeStats.crashCount++;
       break;
   }
 }
@@ -127,7 +331,7 @@ chrome.runtime.onMessage.addListener((req, sender, respond) => {
   switch (req.action) {
     // Tracking control
     case "setTrackingEnabled":
-      isTrackingEnabled = req.enabled;
+      settings.trackingEnabled = req.enabled;
       // Save the state immediately
       chrome.storage.local.set({ trackingEnabled: req.enabled }).catch((e) => {
         console.error("L2 BG: Failed to save tracking state", e);
@@ -138,37 +342,80 @@ chrome.runtime.onMessage.addListener((req, sender, respond) => {
 
     // Log error from content script
     case "logError":
-      handleError(req.errorType, req.data, tabId, tabUrl);
+      handleError(req.errorType, req.data, tabId, tabUrl).catch((e) =>
+        console.error("L2 BG: Failed to store event", e)
+      );
       respond({ success: true });
       break;
 
-    // Get all stored errors
+    // Newest-first pages of the stored lists (see queryStoredErrors)
     case "getStoredErrors":
-      respond({
-        success: true,
-        data: {
-          crashes: db.crashes,
-          apiErrors: db.apiErrors,
-          apiRequests: db.apiRequests,
-          consoleErrors: db.consoleErrors,
-          pageErrors: db.pageErrors,
-          screenshots: db.screenshots,
-          sessions: db.sessions,
-          stats: {
-            totalCrashes: db.crashes.length,
-            totalApiErrors: db.apiErrors.length,
-            totalApiRequests: db.apiRequests.length,
-            totalConsoleErrors: db.consoleErrors.length,
-            totalPageErrors: db.pageErrors.length,
-            totalScreenshots: db.screenshots.length,
-          },
-        },
-      });
-      break;
+      queryStoredErrors(req)
+        .then((data) => respond({ success: true, data }))
+        .catch((e) => respond({ success: false, error: e.message }));
+      return true;
+
+    // Pinned events survive retention, count caps and quota eviction
+    case "pinEvent":
+      L2EventStore.setPinned(req.list, req.seq, req.pinned)
+        .then((found) =>
+          respond(
+            found
+              ? { success: true }
+              : { success: false, error: "Event no longer stored" }
+          )
+        )
+        .catch((e) => respond({ success: false, error: e.message }));
+      return true;
+
+    // Options page storage breakdown
+    case "getStorageUsage":
+      Promise.all([
+        L2EventStore.usage(),
+        chrome.storage.local.get(["lastCleanup"]),
+      ])
+        .then(([usage, { lastCleanup }]) =>
+          respond({
+            success: true,
+            data: { ...usage, lastCleanup: lastCleanup || null },
+          })
+        )
+        .catch((e) => respond({ success: false, error: e.message }));
+      return true;
+
+    case "runRetention":
+      runRetention()
+        .then((lastCleanup) => respond({ success: true, data: lastCleanup }))
+        .catch((e) => respond({ success: false, error: e.message }));
+      return true;
+
+    // Popup Issues view
+    case "getIssues":
+      L2EventStore.getIssues()
+        .then((issues) => respond({ success: true, data: issues }))
+        .catch((e) => respond({ success: false, error: e.message }));
+      return true;
+
+    case "setIssueStatus":
+      setIssueStatus(req.fingerprint, req.status)
+        .then((issue) =>
+          respond(
+            issue
+              ? { success: true, data: issue }
+              : { success: false, error: "Issue not found" }
+          )
+        )
+        .catch((e) => respond({ success: false, error: e.message }));
+      return true;
 
     // Screenshot
-    case "captureScreenshot":
     case "autoScreenshot":
+      if (!settings.autoScreenshot || !L2Settings.isCapturing(settings)) {
+        respond({ success: false, error: "Auto screenshots are off" });
+        break;
+      }
+    // falls through
+    case "captureScreenshot":
       captureScreenshot(tabId, req.reason || "manual")
         .then((ss) => respond({ success: true, screenshot: ss }))
         .catch((e) => respond({ success: false, error: e.message }));
@@ -176,38 +423,67 @@ chrome.runtime.onMessage.addListener((req, sender, respond) => {
 
     // Export - Enhanced with full context
     case "exportErrors":
-      respond({
-        success: true,
-        data: generateExport(),
-      });
-      break;
+      L2EventStore.snapshot()
+        .then((db) => respond({ success: true, data: generateExport(db) }))
+        .catch((e) => respond({ success: false, error: e.message }));
+      return true;
+
+    // Options page "Test" - runs with the (possibly unsaved) token from the form
+    case "testLogSearch": {
+      const endTime = new Date();
+      const startTime = new Date(
+        endTime.getTime() - CONFIG.LOG_SEARCH_WINDOW.BEFORE_CRASH
+      );
+      fetchLogsWithTraceId(
+        req.traceId,
+        startTime.toISOString(),
+        endTime.toISOString(),
+        req.url,
+        req.token
+      )
+        .then(respond)
+        .catch((e) => respond({ success: false, error: e.message }));
+      return true;
+    }
+
+    // HAR 1.2 - whole session, or the requests around one crash
+    case "exportHar":
+      L2EventStore.snapshot()
+        .then((db) => {
+          const har = generateHar(db, req.crashId);
+          respond(
+            har
+              ? { success: true, data: har }
+              : { success: false, error: "Crash not found" }
+          );
+        })
+        .catch((e) => respond({ success: false, error: e.message }));
+      return true;
 
     // Export for MCP Server (LLM-optimized format)
     case "exportForMCP":
-      respond({
-        success: true,
-        data: generateMCPExport(),
-      });
-      break;
+      L2EventStore.snapshot()
+        .then((db) => respond({ success: true, data: generateMCPExport(db) }))
+        .catch((e) => respond({ success: false, error: e.message }));
+      return true;
 
     // Generate ticket
     case "createTicket":
-      respond({ success: true, ticket: generateTicket() });
-      break;
+      L2EventStore.snapshot()
+        .then((db) => respond({ success: true, ticket: generateTicket(db) }))
+        .catch((e) => respond({ success: false, error: e.message }));
+      return true;
 
     // Clear all
     case "clearAllErrors":
-      db.crashes = [];
-      db.apiErrors = [];
-      db.apiRequests = [];
-      db.consoleErrors = [];
-      db.pageErrors = [];
-      db.screenshots = [];
-      db.sessions = {};
-      saveToStorage();
-      updateBadge();
-      respond({ success: true });
-      break;
+      sessions = {};
+      L2EventStore.clear()
+        .then(() => {
+          updateBadge();
+          respond({ success: true });
+        })
+        .catch((e) => respond({ success: false, error: e.message }));
+      return true;
 
     default:
       respond({ success: false, error: "Unknown action" });
@@ -216,14 +492,62 @@ chrome.runtime.onMessage.addListener((req, sender, respond) => {
   return true;
 });
 
+/**
+ * Paginated read of the stored lists for getStoredErrors
+ * @param {Object} req - { types, limit, cursors, sessionId, fingerprint, since, until }
+ *   types defaults to every list; cursors[type] is the nextCursor a previous
+ *   response returned for that list
+ * @returns {Promise<Object>} { [type]: newest-first events, cursors, sessions, stats }
+ */
+async function queryStoredErrors(req) {
+  await storeReady;
+  const { sessionId, fingerprint, since, until, limit } = req;
+  const types = (req.types || L2EventStore.EVENT_LISTS).filter((type) =>
+    L2EventStore.EVENT_LISTS.includes(type)
+  );
+  const cursors = req.cursors || {};
+
+  const counts = await L2EventStore.counts();
+  const data = {
+    cursors: {},
+    sessions,
+    stats: {
+      totalCrashes: counts.crashes,
+      totalApiErrors: counts.apiErrors,
+      totalApiRequests: counts.apiRequests,
+      totalConsoleErrors: counts.consoleErrors,
+      totalPageErrors: counts.pageErrors,
+      totalUiFreezes: counts.uiFreezes,
+      totalWorkerErrors: counts.workerErrors,
+      totalPolicyViolations: counts.policyViolations,
+      totalScreenshots: counts.screenshots,
+    },
+  };
+
+  for (const type of types) {
+    const page = await L2EventStore.query(type, {
+      sessionId,
+      fingerprint,
+      since,
+      until,
+      limit,
+      before: cursors[type],
+    });
+    data[type] = page.items;
+    data.cursors[type] = page.nextCursor;
+  }
+  return data;
+}
+
 // =============================================
 // ERROR HANDLING - Enhanced
 // =============================================
-function handleError(type, data, tabId, tabUrl) {
-  // Check if tracking is enabled
-  if (!isTrackingEnabled) {
+async function handleError(type, data, tabId, tabUrl) {
+  // Tracking switch, Freshworks-only and the API/console capture toggles
+  if (!L2Settings.eventAllowed(settings, type, data.pageUrl || tabUrl)) {
     return;
   }
+  await storeReady;
 
   const entry = {
     id: genId(),
@@ -232,85 +556,426 @@ function handleError(type, data, tabId, tabUrl) {
     errorType: type,
     ...data,
     receivedAt: new Date().toISOString(),
+    fingerprint: eventFingerprint(type, data),
   };
 
   // Update session tracking
   if (data.sessionId) {
-    getOrCreateSession(data.sessionId, data.pageUrl);
-    updateSessionStats(data.sessionId, type);
+    const session = getOrCreateSession(data.sessionId, data.pageUrl);
+    if (type === "route_change") {
+      recordRouteChange(session, data);
+    } else if (data.route && !session.currentRoute) {
+      // First event of the session tells us the landing route
+      enterRoute(session, data.route, data.pageUrl, entry.receivedAt);
+    }
+    updateSessionStats(data.sessionId, type, data.route);
   }
 
   switch (type) {
     case "crash_detected":
       // Ensure crash has all related logs attached
-      const enrichedCrash = enrichCrashData(entry);
-      db.crashes.push(enrichedCrash);
-      captureScreenshot(tabId, "crash").catch(() => {});
-      notify("Page Crash", `Crash detected on ${new URL(tabUrl).hostname}`);
+      const enrichedCrash = await enrichCrashData(entry);
+      await storeEvent("crashes", enrichedCrash);
+      autoScreenshot(tabId, "crash");
+      notify(
+        "Page Crash",
+        `Crash detected on ${new URL(tabUrl).hostname}`,
+        entry.fingerprint
+      );
 
       // Check if crash was caused by API failure and fetch logs
       // Only calls API if crash has failed APIs with traceId
       // If crash has no API failures, it's a UI issue - no API call needed
       if (CONFIG.CALL_API_ON.CRASH_DETECTED) {
-        handleCrashWithFailedApis(enrichedCrash).catch(() => {
-          // Silently fail - don't block crash handling
-        });
+        handleCrashWithFailedApis(enrichedCrash)
+          .then((result) => {
+            // Keep the attached apiLogs
+            if (result?.success) amendEvent("crashes", enrichedCrash);
+          })
+          .catch(() => {
+            // Silently fail - don't block crash handling
+          });
       }
+
+      symbolicateInBackground("crashes", enrichedCrash);
       break;
 
     case "api_error":
     case "resource_error":
-      db.apiErrors.push(entry);
+      await storeEvent("apiErrors", entry);
       if (type === "api_error" && entry.type !== "resource_error") {
-        db.apiRequests.push(entry); // Also add to all requests
-        if (db.apiRequests.length > 200) db.apiRequests.shift();
+        await storeEvent("apiRequests", { ...entry }); // Also add to all requests
       }
 
       // Call API to fetch backend logs for valid XHR failures with traceId
       // This is async and won't block error handling
       if (CONFIG.CALL_API_ON.API_ERROR) {
-        handleApiErrorLogFetch(entry).catch(() => {
-          // Silently fail - don't block error handling
-        });
+        handleApiErrorLogFetch(entry)
+          .then((result) => {
+            // Keep the attached apiLogs
+            if (result?.success) amendEvent("apiErrors", entry);
+          })
+          .catch(() => {
+            // Silently fail - don't block error handling
+          });
+      }
+      break;
+
+    case "ui_freeze":
+      await storeEvent("uiFreezes", entry);
+      if (entry.duration >= settings.freezeThresholdMs) {
+        await recordFreezeAsCrash(entry, tabId, tabUrl);
+      }
+      break;
+
+    case "worker_error":
+      await storeEvent("workerErrors", entry);
+      break;
+
+    case "policy_violation":
+      await storeEvent("policyViolations", entry);
+      break;
+
+    case "blank_screen_suspected":
+      // Recorded as a crash only once the screenshot agrees
+      verifyBlankScreen(entry, tabId, tabUrl).catch(() => {});
+      break;
+
+    case "route_change":
+      // Only tracked in sessions (see recordRouteChange)
+      break;
+
+    case "performance_metrics":
+      // Snapshots are cumulative for the page, so the latest one wins
+      if (data.sessionId) {
+        getOrCreateSession(data.sessionId, data.pageUrl).performance = {
+          ...data,
+          receivedAt: entry.receivedAt,
+        };
       }
       break;
 
     case "api_request":
-      db.apiRequests.push(entry);
-      if (db.apiRequests.length > 200) db.apiRequests.shift();
+      await storeEvent("apiRequests", entry);
       break;
 
     case "console_error":
     case "console_warn":
-      db.consoleErrors.push(entry);
+      await storeEvent("consoleErrors", entry);
+      if (type === "console_error") {
+        symbolicateInBackground("consoleErrors", entry);
+      }
       break;
 
     case "page_error":
     case "promise_rejection":
-      db.pageErrors.push(entry);
-      captureScreenshot(tabId, type).catch(() => {});
+      await storeEvent("pageErrors", entry);
+      autoScreenshot(tabId, type);
+      symbolicateInBackground("pageErrors", entry);
       break;
   }
 
-  // Trim
-  if (db.crashes.length > 50) db.crashes.shift();
-  if (db.apiErrors.length > 200) db.apiErrors.shift();
-  if (db.consoleErrors.length > 200) db.consoleErrors.shift();
-  if (db.pageErrors.length > 100) db.pageErrors.shift();
+  if (ISSUE_EVENTS.includes(type)) recordIssue(entry);
+  if (data.sessionId) persistSession(data.sessionId);
+  updateBadge();
+}
+
+// A frozen page throws nothing and renders no error UI, so long freezes
+// are promoted to crashes here instead of in the page
+async function recordFreezeAsCrash(freeze, tabId, tabUrl) {
+  const seconds = (freeze.duration / 1000).toFixed(1);
+  const crash = await enrichCrashData({
+    ...freeze,
+    id: genId(),
+    errorType: "crash_detected",
+    type: "crash",
+    detected: true,
+    reason: `UI freeze: main thread blocked for ${seconds}s`,
+    detectionMethod: "ui_freeze",
+  });
+  crash.fingerprint = eventFingerprint("crash_detected", crash);
+
+  await storeEvent("crashes", crash);
+  recordIssue(crash);
+  if (freeze.sessionId) {
+    updateSessionStats(freeze.sessionId, "crash_detected", freeze.route);
+  }
+
+  autoScreenshot(tabId, "ui_freeze");
+  notify(
+    "Page Frozen",
+    `${
+      new URL(freeze.pageUrl || tabUrl).hostname
+    } was unresponsive for ${seconds}s`,
+    crash.fingerprint
+  );
+}
+
+// The page's DOM check found an empty app root; confirm the viewport is
+// actually blank (canvas apps, iframes and shells outside the root aren't)
+async function verifyBlankScreen(suspect, tabId, tabUrl) {
+  // No screenshot (background tab, capture refused) means no confirmation
+  const sample = await samplePixelContent(tabId);
+  if (!sample?.isBlank) return;
+
+  const crash = await enrichCrashData({
+    ...suspect,
+    id: genId(),
+    errorType: "crash_detected",
+    pixelCheck: {
+      uniformRatio: sample.uniformRatio,
+      dominantColor: sample.dominantColor,
+    },
+  });
+  crash.fingerprint = eventFingerprint("crash_detected", crash);
+
+  await storeEvent("crashes", crash);
+  recordIssue(crash);
+  if (suspect.sessionId) {
+    updateSessionStats(suspect.sessionId, "crash_detected", suspect.route);
+    persistSession(suspect.sessionId);
+  }
+  if (settings.autoScreenshot) {
+    await storeScreenshot(tabId, "blank_screen", sample.dataUrl);
+  }
 
+  notify(
+    "Blank Screen",
+    `${new URL(suspect.pageUrl || tabUrl).hostname} rendered an empty page`,
+    crash.fingerprint
+  );
   updateBadge();
-  saveToStorage();
+}
+
+// Downscale a screenshot of the tab and measure how uniform it is.
+// Returns null when the tab can't be captured (not the visible tab)
+async function samplePixelContent(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab.active) return null;
+
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, {
+      format: "png",
+    });
+    const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+
+    const { SAMPLE_WIDTH, UNIFORM_PIXEL_RATIO, COLOR_TOLERANCE } =
+      CONFIG.BLANK_SCREEN;
+    const width = Math.min(SAMPLE_WIDTH, bitmap.width);
+    const height = Math.max(
+      1,
+      Math.round((bitmap.height / bitmap.width) * width)
+    );
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+
+    // Most common color, bucketed so antialiasing doesn't split it
+    const buckets = new Map();
+    for (let i = 0; i < pixels.length; i += 4) {
+      const key =
+        ((pixels[i] >> 4) << 8) |
+        ((pixels[i + 1] >> 4) << 4) |
+        (pixels[i + 2] >> 4);
+      buckets.set(key, (buckets.get(key) || 0) + 1);
+    }
+    const dominantKey = [...buckets.entries()].sort(
+      (a, b) => b[1] - a[1]
+    )[0][0];
+    const dominant = [
+      ((dominantKey >> 8) & 15) * 16 + 8,
+      ((dominantKey >> 4) & 15) * 16 + 8,
+      (dominantKey & 15) * 16 + 8,
+    ];
+
+    let uniform = 0;
+    const total = pixels.length / 4;
+    for (let i = 0; i < pixels.length; i += 4) {
+      if (
+        Math.abs(pixels[i] - dominant[0]) <= COLOR_TOLERANCE &&
+        Math.abs(pixels[i + 1] - dominant[1]) <= COLOR_TOLERANCE &&
+        Math.abs(pixels[i + 2] - dominant[2]) <= COLOR_TOLERANCE
+      ) {
+        uniform++;
+      }
+    }
+
+    const uniformRatio = Math.round((uniform / total) * 1000) / 1000;
+    return {
+      dataUrl,
+      uniformRatio,
+      dominantColor: `rgb(${dominant.join(", ")})`,
+      isBlank: uniformRatio >= UNIFORM_PIXEL_RATIO,
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Resolve minified stacks via the backend without blocking error handling
+function symbolicateInBackground(list, entry) {
+  if (!CONFIG.SYMBOLICATION.ENABLED) return;
+
+  symbolicateEntry(entry)
+    .then((changed) => {
+      if (!changed) return;
+      amendEvent(list, entry);
+      addIssueResolvedStack(entry);
+    })
+    .catch(() => {
+      // Backend unreachable or no source maps - keep the minified stack
+    });
+}
+
+// =============================================
+// ISSUES - events grouped by fingerprint across sessions, with a triage
+// status. A resolved issue that happens again is reopened as a regression.
+// =============================================
+const ISSUE_STATUSES = ["new", "acknowledged", "muted", "resolved"];
+const ISSUE_EVENTS = [
+  "crash_detected",
+  "page_error",
+  "promise_rejection",
+  "console_error",
+  "api_error",
+  "resource_error",
+  "worker_error",
+];
+const ISSUE_MAX_SESSIONS = 50; // Ids kept per issue; sessionCount keeps counting
+const ISSUE_MAX_ROUTES = 20;
+
+function recordIssue(entry) {
+  const seenAt = entry.timestamp || entry.receivedAt;
+  const route = entry.route || sessions[entry.sessionId]?.currentRoute;
+
+  L2EventStore.updateIssue(entry.fingerprint, (existing) => {
+    const issue = existing || {
+      fingerprint: entry.fingerprint,
+      errorType: entry.errorType,
+      title: issueTitle(entry),
+      status: "new",
+      regression: false,
+      count: 0,
+      firstSeen: seenAt,
+      lastSeen: seenAt,
+      sessions: [],
+      sessionCount: 0,
+      routes: {},
+      sample: issueSample(entry),
+    };
+
+    issue.count++;
+    if (seenAt > issue.lastSeen) issue.lastSeen = seenAt;
+    if (issue.status === "resolved") {
+      issue.status = "new";
+      issue.regression = true;
+      issue.regressedAt = seenAt;
+    }
+    if (entry.sessionId && !issue.sessions.includes(entry.sessionId)) {
+      issue.sessions = [...issue.sessions, entry.sessionId].slice(
+        -ISSUE_MAX_SESSIONS
+      );
+      issue.sessionCount++;
+    }
+    if (
+      route &&
+      (issue.routes[route] ||
+        Object.keys(issue.routes).length < ISSUE_MAX_ROUTES)
+    ) {
+      issue.routes[route] = (issue.routes[route] || 0) + 1;
+    }
+    return issue;
+  }).catch((e) => console.error("L2 BG: Failed to update issue", e));
+}
+
+function issueTitle(entry) {
+  if (entry.url && ["api_error", "resource_error"].includes(entry.errorType)) {
+    let path = entry.url;
+    try {
+      path = new URL(entry.url).pathname;
+    } catch {}
+    return `${entry.method || "GET"} ${path} - ${entry.status || "failed"}`;
+  }
+  return String(entry.message || entry.reason || entry.errorType)
+    .split("\n")[0]
+    .slice(0, 200);
+}
+
+// The first occurrence, kept for stacks and exports
+function issueSample(entry) {
+  return {
+    eventId: entry.id,
+    message: entry.message || entry.reason,
+    stack: entry.stack,
+    resolvedStack: entry.resolvedStack,
+    filename: entry.filename,
+    lineno: entry.lineno,
+    colno: entry.colno,
+    url: entry.url,
+    method: entry.method,
+    status: entry.status,
+    pageUrl: entry.pageUrl || entry.tabUrl,
+  };
+}
+
+// Source maps resolve after the issue was recorded
+function addIssueResolvedStack(entry) {
+  if (!entry.resolvedStack || !entry.fingerprint) return;
+  L2EventStore.updateIssue(entry.fingerprint, (issue) => {
+    if (issue?.sample.eventId !== entry.id) return null;
+    issue.sample.resolvedStack = entry.resolvedStack;
+    return issue;
+  }).catch((e) => console.error("L2 BG: Failed to update issue", e));
+}
+
+async function setIssueStatus(fingerprint, status) {
+  if (!ISSUE_STATUSES.includes(status)) {
+    throw new Error(`Unknown issue status: ${status}`);
+  }
+  const now = new Date().toISOString();
+  const updated = await L2EventStore.updateIssue(fingerprint, (issue) => {
+    if (!issue) return null;
+    issue.status = status;
+    issue.statusChangedAt = now;
+    if (status === "resolved") {
+      issue.resolvedAt = now;
+      issue.regression = false;
+    }
+    return issue;
+  });
+  if (updated) {
+    if (status === "muted") mutedFingerprints.add(fingerprint);
+    else mutedFingerprints.delete(fingerprint);
+    updateBadge();
+  }
+  return updated;
 }
 
 // =============================================
 // ENRICH CRASH DATA - Ensure all related logs are attached
 // =============================================
-function enrichCrashData(crashEntry) {
+async function enrichCrashData(crashEntry) {
   const sessionId = crashEntry.sessionId;
   const pageUrl = crashEntry.pageUrl || crashEntry.tabUrl;
   const timestamp = new Date(crashEntry.timestamp);
   const lookbackMs = 60000; // Look back 60 seconds for related errors
 
+  if (!crashEntry.performance) {
+    crashEntry.performance = sessions[sessionId]?.performance || null;
+  }
+
+  const since = new Date(timestamp - lookbackMs);
+  const db = {};
+  for (const list of [
+    "consoleErrors",
+    "apiErrors",
+    "pageErrors",
+    "apiRequests",
+  ]) {
+    db[list] = await crashContextEvents(list, sessionId, since);
+  }
+
   // If crash already has recent errors, use them; otherwise collect from db
   if (!crashEntry.recentConsoleErrors?.length) {
     crashEntry.recentConsoleErrors = db.consoleErrors
@@ -363,10 +1028,31 @@ function enrichCrashData(crashEntry) {
   return crashEntry;
 }
 
+// Candidates for a crash's related events: the session's latest plus
+// everything in the lookback window, oldest first like the old in-memory lists
+async function crashContextEvents(list, sessionId, since) {
+  const limit = 200;
+  const pages = await Promise.all([
+    L2EventStore.query(list, { sessionId, limit }),
+    isNaN(since)
+      ? null
+      : L2EventStore.query(list, {
+          since: since.toISOString(),
+          limit,
+        }),
+  ]);
+
+  const bySeq = new Map();
+  pages.forEach((page) =>
+    (page?.items || []).forEach((e) => bySeq.set(e.seq, e))
+  );
+  return [...bySeq.values()].sort((a, b) => a.seq - b.seq);
+}
+
 // =============================================
 // EXPORT GENERATION - Enhanced
 // =============================================
-function generateExport() {
+function generateExport(db) {
   return {
     exportedAt: new Date().toISOString(),
     version: "2.0",
@@ -376,6 +1062,8 @@ function generateExport() {
       totalConsoleErrors: db.consoleErrors.length,
       totalPageErrors: db.pageErrors.length,
       totalApiRequests: db.apiRequests.length,
+      totalWorkerErrors: db.workerErrors.length,
+      totalPolicyViolations: db.policyViolations.length,
       totalScreenshots: db.screenshots.length,
       sessionsTracked: Object.keys(db.sessions).length,
     },
@@ -391,18 +1079,222 @@ function generateExport() {
     apiRequests: db.apiRequests,
     consoleErrors: db.consoleErrors,
     pageErrors: db.pageErrors,
+    workerErrors: db.workerErrors,
+    policyViolations: db.policyViolations,
     screenshots: db.screenshots.map((s) => ({
       ...s,
       dataUrl: "[image]", // Truncate for export size
     })),
     sessions: db.sessions,
+    issues: db.issues,
+  };
+}
+
+// =============================================
+// HAR EXPORT - HTTP Archive 1.2 for backend tooling
+// =============================================
+// Entries are already redacted in the page; rules are applied again here so
+// requests captured under older (or no) rules don't leak into a shared file.
+function generateHar(db, crashId) {
+  const crash = crashId ? db.crashes.find((c) => c.id === crashId) : null;
+  if (crashId && !crash) return null;
+
+  const requests = crash
+    ? [...(crash.recentApiRequests || []), ...(crash.recentApiErrors || [])]
+    : [...db.apiRequests, ...db.apiErrors];
+
+  // api_error entries are stored in both lists
+  const seen = new Set();
+  const unique = requests.filter((e) => {
+    const key = `${e.timestamp}|${e.method}|${e.url}`;
+    if (!e.url || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const entries = unique
+    .map((e) => toHarEntry(redactForExport(e), crash?.networkWaterfall))
+    .sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime));
+
+  const pages = [
+    ...new Map(
+      entries.map((e) => [
+        e.pageref,
+        {
+          startedDateTime: e.startedDateTime,
+          id: e.pageref,
+          title: db.sessions[e.pageref]?.pageUrl || e.pageref,
+          pageTimings: {},
+        },
+      ])
+    ).values(),
+  ];
+
+  return {
+    log: {
+      version: "1.2",
+      creator: {
+        name: "L2 Agent",
+        version: chrome.runtime.getManifest().version,
+      },
+      pages,
+      entries,
+      comment: crash
+        ? `Requests around crash at ${crash.timestamp}: ${crash.reason || ""}`
+        : `All captured requests (${entries.length})`,
+    },
+  };
+}
+
+// A shared HAR must never carry raw payloads - if redaction fails the entry
+// goes out without headers and bodies, as injected.js does in the page
+function redactForExport(entry) {
+  try {
+    return self.L2Redaction.redactEntry(entry, settings.redaction);
+  } catch (e) {
+    console.error("L2 BG: Export redaction failed", e);
+    return {
+      ...entry,
+      requestHeaders: {},
+      requestBody: null,
+      responseHeaders: {},
+      responseBody: "",
+      errorDetails: null,
+      error: entry.graphql ? "GraphQL error" : entry.error,
+      graphql: entry.graphql && {
+        ...entry.graphql,
+        operations: (entry.graphql.operations || []).map((op) => ({
+          ...op,
+          variables: null,
+        })),
+        errors: undefined,
+      },
+      redaction: { applied: false, stripped: true },
+    };
+  }
+}
+
+function toHarHeaders(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => ({
+    name,
+    value: String(value),
+  }));
+}
+
+function toHarText(body) {
+  if (body === null || body === undefined) return "";
+  return typeof body === "string" ? body : JSON.stringify(body);
+}
+
+function findHeader(headers, name) {
+  const key = Object.keys(headers || {}).find((h) => h.toLowerCase() === name);
+  return key ? String(headers[key]) : null;
+}
+
+// Phases come from the crash's Resource Timing waterfall when it has a match
+function toHarTimings(entry, waterfall) {
+  const row = (waterfall || []).find(
+    (r) =>
+      r.phases &&
+      r.source === "both" &&
+      r.url === entry.url &&
+      (!entry.traceId || r.traceId === entry.traceId)
+  );
+  if (!row) {
+    return {
+      blocked: -1,
+      dns: -1,
+      connect: -1,
+      ssl: -1,
+      send: 0,
+      wait: entry.duration || 0,
+      receive: 0,
+    };
+  }
+
+  const p = row.phases;
+  return {
+    blocked: -1,
+    dns: p.dns,
+    connect: p.connect, // HAR counts ssl inside connect too
+    ssl: p.tls || -1,
+    send: 0,
+    wait: p.ttfb,
+    receive: p.download,
+  };
+}
+
+function toHarEntry(e, waterfall) {
+  const duration = e.duration || 0;
+  const endedAt = new Date(e.timestamp).getTime();
+  const requestText = toHarText(e.requestBody);
+  const responseText = toHarText(e.responseBody);
+
+  let queryString = [];
+  try {
+    queryString = [...new URL(e.url).searchParams].map(([name, value]) => ({
+      name,
+      value,
+    }));
+  } catch {}
+
+  return {
+    pageref: e.sessionId || "page",
+    startedDateTime: new Date(endedAt - duration).toISOString(),
+    time: duration,
+    request: {
+      method: e.method || "GET",
+      url: e.url,
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: toHarHeaders(e.requestHeaders),
+      queryString,
+      ...(requestText
+        ? {
+            postData: {
+              mimeType:
+                findHeader(e.requestHeaders, "content-type") ||
+                "application/octet-stream",
+              text: requestText,
+            },
+          }
+        : {}),
+      headersSize: -1,
+      bodySize: requestText.length,
+    },
+    response: {
+      status: e.status || 0,
+      statusText: e.statusText || "",
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: toHarHeaders(e.responseHeaders),
+      content: {
+        size: responseText.length,
+        mimeType: findHeader(e.responseHeaders, "content-type") || "",
+        text: responseText,
+      },
+      redirectURL: "",
+      headersSize: -1,
+      bodySize: -1,
+    },
+    cache: {},
+    timings: toHarTimings(e, waterfall),
+    // Custom fields (HAR allows "_"-prefixed extensions)
+    _traceId: e.traceId || null,
+    _traceIdHeader: e.traceIdHeader || null,
+    _resourceType: e.type === "resource_error" ? e.resourceKind : e.type,
+    _isError: !!e.isError,
+    _error: e.error || null,
+    _route: e.route || null,
+    _graphqlOperation: e.graphql?.operationName || null,
+    _payloadsStripped: !!e.redaction?.stripped,
   };
 }
 
 // =============================================
 // MCP EXPORT - LLM-Optimized Format for Analysis
 // =============================================
-function generateMCPExport() {
+function generateMCPExport(db) {
   const now = new Date();
 
   // Sort all events by timestamp for timeline
@@ -410,11 +1302,24 @@ function generateMCPExport() {
     ...db.pageErrors.map((e) => ({ ...e, _category: "PAGE_ERROR" })),
     ...db.consoleErrors.map((e) => ({ ...e, _category: "CONSOLE_ERROR" })),
     ...db.apiErrors.map((e) => ({ ...e, _category: "API_ERROR" })),
+    ...db.workerErrors.map((e) => ({ ...e, _category: "WORKER_ERROR" })),
+    ...db.policyViolations.map((e) => ({
+      ...e,
+      _category: "POLICY_VIOLATION",
+    })),
     ...db.crashes.map((e) => ({ ...e, _category: "CRASH" })),
+    ...collectBreadcrumbs(db).map((c) => ({ ...c, _category: "USER_ACTION" })),
   ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
-  // Group errors by likely root cause (same error type + message pattern)
-  const errorGroups = groupErrorsByRootCause(db.pageErrors, db.consoleErrors);
+  // Persistent issues behind the page and console errors, most frequent first
+  const errorGroups = db.issues
+    .filter(
+      (issue) =>
+        ["page_error", "promise_rejection", "console_error"].includes(
+          issue.errorType
+        ) && issue.status !== "muted"
+    )
+    .sort((a, b) => b.count - a.count);
 
   return {
     _format: "L2_AGENT_MCP_V1",
@@ -425,6 +1330,7 @@ function generateMCPExport() {
       exportedAt: now.toISOString(),
       pageUrl: db.crashes[0]?.pageUrl || db.pageErrors[0]?.url || "unknown",
       sessionCount: Object.keys(db.sessions).length,
+      routes: getRouteBreakdown(db),
       timeRange: {
         earliest: allEvents[0]?.timestamp || null,
         latest: allEvents[allEvents.length - 1]?.timestamp || null,
@@ -438,6 +1344,11 @@ function generateMCPExport() {
       totalConsoleErrors: db.consoleErrors.length,
       totalApiErrors: db.apiErrors.length,
       totalApiRequests: db.apiRequests.length,
+      totalUiFreezes: db.uiFreezes.length,
+      longestUiFreezeMs: Math.max(0, ...db.uiFreezes.map((f) => f.duration)),
+      totalWorkerErrors: db.workerErrors.length,
+      totalPolicyViolations: db.policyViolations.length,
+      performance: getLatestPerformance(db),
       uniqueErrorTypes: [
         ...new Set([
           ...db.pageErrors.map((e) => e.errorType),
@@ -445,45 +1356,89 @@ function generateMCPExport() {
         ]),
       ].filter(Boolean),
       failedEndpoints: [
-        ...new Set(db.apiErrors.map((e) => `${e.method} ${e.url}`)),
+        ...new Set(
+          db.apiErrors
+            .filter((e) => e.type !== "resource_error")
+            .map((e) =>
+              e.graphql
+                ? `${e.graphql.operationType} ${e.graphql.operationName} (${e.url})`
+                : `${e.method} ${e.url}`
+            )
+        ),
       ],
+      failedResources: db.apiErrors
+        .filter((e) => e.type === "resource_error")
+        .map((e) => ({
+          url: e.url,
+          kind: e.resourceKind,
+          initiator: e.initiator,
+          isChunk: e.isChunk,
+        })),
     },
 
     // Primary errors - most likely root causes
-    primaryErrors: errorGroups.slice(0, 10).map((group) => ({
-      errorType: group.errorType,
-      message: group.message,
-      occurrences: group.count,
-      firstSeen: group.firstSeen,
-      lastSeen: group.lastSeen,
-      stack: group.stack,
-      filename: group.filename,
-      lineno: group.lineno,
-      colno: group.colno,
+    primaryErrors: errorGroups.slice(0, 10).map((issue) => ({
+      fingerprint: issue.fingerprint,
+      errorType: issue.errorType,
+      message: issue.sample.message,
+      status: issue.status,
+      regression: issue.regression,
+      occurrences: issue.count,
+      affectedSessions: issue.sessionCount,
+      routes: issue.routes,
+      firstSeen: issue.firstSeen,
+      lastSeen: issue.lastSeen,
+      stack: issue.sample.resolvedStack || issue.sample.stack,
+      minifiedStack: issue.sample.resolvedStack
+        ? issue.sample.stack
+        : undefined,
+      filename: issue.sample.filename,
+      lineno: issue.sample.lineno,
+      colno: issue.sample.colno,
       // Context for debugging
-      relatedApiCalls: findRelatedApiCalls(group.timestamp),
+      relatedApiCalls: findRelatedApiCalls(db, issue.lastSeen),
     })),
 
     // Crashes with full context
     crashes: db.crashes.map((crash) => ({
       timestamp: crash.timestamp,
       url: crash.pageUrl || crash.url,
+      route: crash.route,
       detectionMethod: crash.reason,
       displayedErrorText: crash.text,
+      performance: crash.performance || undefined,
+      uiFreeze:
+        crash.detectionMethod === "ui_freeze"
+          ? { durationMs: crash.duration, longTasks: crash.longTasks }
+          : undefined,
+      stepsBeforeCrash: (crash.breadcrumbs || []).map(formatBreadcrumb),
+      primaryError: crash.primaryError
+        ? {
+            ...crash.primaryError,
+            stack: crash.primaryError.resolvedStack || crash.primaryError.stack,
+            minifiedStack: crash.primaryError.resolvedStack
+              ? crash.primaryError.stack
+              : undefined,
+          }
+        : undefined,
 
       // The actual errors that caused this crash
       rootCauseErrors: (crash.recentPageErrors || []).map((e) => ({
         type: e.errorType,
         message: e.message,
+        framework: e.framework,
+        renderPath: e.renderPath,
         file: e.filename ? `${e.filename}:${e.lineno}:${e.colno}` : null,
-        stack: e.stack,
+        originalFile: formatOriginalLocation(e.resolvedFrames?.[0]),
+        stack: e.resolvedStack || e.stack,
+        minifiedStack: e.resolvedStack ? e.stack : undefined,
       })),
 
       // Console errors around crash time
       consoleContext: (crash.recentConsoleErrors || []).map((e) => ({
         type: e.errorType,
         message: e.message,
-        stack: e.stack,
+        stack: e.resolvedStack || e.stack,
       })),
 
       // API state at crash time
@@ -495,6 +1450,7 @@ function generateMCPExport() {
           error: e.error || e.errorDetails?.message,
           responseBody: e.responseBody?.slice(0, 500),
         })),
+        realtimeConnections: crash.realtimeConnections || [],
         recentRequests: (crash.recentApiRequests || []).slice(-10).map((e) => ({
           method: e.method,
           url: e.url,
@@ -502,16 +1458,53 @@ function generateMCPExport() {
           duration: e.duration,
           isError: e.isError,
         })),
+        // Every request of the page (assets, beacons, iframes) with phases
+        networkWaterfall: crash.networkWaterfall || [],
       },
     })),
 
+    // Blocked or degraded by the browser rather than thrown - explains
+    // scripts/iframes that silently never ran
+    policyViolations: {
+      blocked: db.policyViolations
+        .filter((v) => v.kind === "csp")
+        .map((v) => ({
+          timestamp: v.timestamp,
+          directive: v.directive,
+          disposition: v.disposition,
+          blockedUri: v.blockedUri,
+          source: v.sourceFile
+            ? `${v.sourceFile}:${v.lineno}:${v.colno}`
+            : null,
+          sample: v.sample || undefined,
+          route: v.route,
+        })),
+      browserReports: db.policyViolations
+        .filter((v) => v.kind !== "csp")
+        .map((v) => ({
+          timestamp: v.timestamp,
+          kind: v.kind,
+          id: v.reportId,
+          message: v.message,
+          source: v.sourceFile
+            ? `${v.sourceFile}:${v.lineno}:${v.colno}`
+            : null,
+          anticipatedRemoval: v.anticipatedRemoval || undefined,
+          route: v.route,
+        })),
+    },
+
     // Timeline of events (for understanding sequence)
     timeline: allEvents.slice(-50).map((e) => ({
       time: e.timestamp,
       category: e._category,
       type: e.errorType || e.type,
-      message: (e.message || "").slice(0, 200),
+      message:
+        e._category === "USER_ACTION"
+          ? formatBreadcrumb(e)
+          : (e.message || "").slice(0, 200),
       url: e.url,
+      route: e.route,
       ...(e._category === "API_ERROR"
         ? {
             endpoint: `${e.method} ${e.status} ${e.url}`,
@@ -522,6 +1515,29 @@ function generateMCPExport() {
 
     // Raw data for deep analysis
     rawData: {
+      workerErrors: db.workerErrors.map((e) => ({
+        timestamp: e.timestamp,
+        workerType: e.workerType,
+        scriptUrl: e.scriptUrl,
+        event: e.event,
+        level: e.level,
+        errorType: e.errorType,
+        message: e.message,
+        file: e.filename ? `${e.filename}:${e.lineno}:${e.colno}` : null,
+        stack: e.stack,
+        url: e.url,
+        route: e.route,
+      })),
+      uiFreezes: db.uiFreezes.map((f) => ({
+        timestamp: f.timestamp,
+        startedAt: f.startedAt,
+        durationMs: f.duration,
+        route: f.route,
+        longTasks: f.longTasks,
+        lastAction: f.lastBreadcrumb
+          ? formatBreadcrumb(f.lastBreadcrumb)
+          : null,
+      })),
       pageErrors: db.pageErrors.map((e) => ({
         timestamp: e.timestamp,
         errorType: e.errorType,
@@ -530,7 +1546,13 @@ function generateMCPExport() {
         lineno: e.lineno,
         colno: e.colno,
         stack: e.stack,
+        resolvedStack: e.resolvedStack,
         url: e.url,
+        route: e.route,
+        framework: e.framework,
+        componentName: e.componentName,
+        routeName: e.routeName,
+        renderPath: e.renderPath,
       })),
       consoleErrors: db.consoleErrors.map((e) => ({
         timestamp: e.timestamp,
@@ -538,7 +1560,9 @@ function generateMCPExport() {
         type: e.type,
         message: e.message,
         stack: e.stack,
+        resolvedStack: e.resolvedStack,
         url: e.url,
+        route: e.route,
       })),
       apiErrors: db.apiErrors.map((e) => ({
         timestamp: e.timestamp,
@@ -553,6 +1577,17 @@ function generateMCPExport() {
         duration: e.duration,
         traceId: e.traceId,
         traceIdHeader: e.traceIdHeader,
+        route: e.route,
+        graphql: e.graphql,
+        softError: e.softError,
+        ...(e.type === "resource_error"
+          ? {
+              resourceKind: e.resourceKind,
+              initiator: e.initiator,
+              element: e.selector,
+              isChunk: e.isChunk,
+            }
+          : {}),
       })),
       apiRequests: db.apiRequests.slice(-100).map((e) => ({
         timestamp: e.timestamp,
@@ -569,10 +1604,11 @@ function generateMCPExport() {
     _analysisHints: {
       lookFor: [
         "Check primaryErrors for the most likely root cause",
-        "Look at stack traces to identify the failing component/function",
+        "Look at stack traces to identify the failing component/function (stacks are source-mapped where maps were available; minifiedStack holds the original)",
         "Check if API errors preceded the crash (missing data causing render failures)",
         "Look for undefined/null reference errors (component not found, data not loaded)",
         "Check timeline to understand the sequence of events",
+        "Use stepsBeforeCrash and USER_ACTION timeline events as steps to reproduce",
       ],
       commonPatterns: [
         "ReferenceError: X is not defined → Missing import or component not registered",
@@ -586,39 +1622,109 @@ function generateMCPExport() {
   };
 }
 
-// Group similar errors together to find root causes
-function groupErrorsByRootCause(pageErrors, consoleErrors) {
-  const groups = {};
-
-  [...pageErrors, ...consoleErrors].forEach((error) => {
-    // Create a key from error type + first line of message
-    const messageKey = (error.message || "").split("\n")[0].slice(0, 100);
-    const key = `${error.errorType}:${messageKey}`;
-
-    if (!groups[key]) {
-      groups[key] = {
-        errorType: error.errorType,
-        message: error.message,
-        stack: error.stack,
-        filename: error.filename,
-        lineno: error.lineno,
-        colno: error.colno,
-        count: 0,
-        firstSeen: error.timestamp,
-        lastSeen: error.timestamp,
-        timestamp: error.timestamp,
-      };
-    }
+// Errors per screen across all sessions, worst routes first
+function getRouteBreakdown(db) {
+  const merged = {};
+
+  Object.values(db.sessions).forEach((session) => {
+    Object.values(session.routes || {}).forEach((r) => {
+      if (!merged[r.route]) {
+        merged[r.route] = {
+          route: r.route,
+          sampleUrl: r.sampleUrl,
+          sessions: 0,
+          visits: 0,
+          errorCount: 0,
+          apiErrorCount: 0,
+          crashCount: 0,
+        };
+      }
+      const m = merged[r.route];
+      m.sessions++;
+      m.visits += r.visits;
+      m.errorCount += r.errorCount;
+      m.apiErrorCount += r.apiErrorCount;
+      m.crashCount += r.crashCount;
+    });
+  });
+
+  return Object.values(merged).sort(
+    (a, b) =>
+      b.crashCount - a.crashCount ||
+      b.errorCount + b.apiErrorCount - (a.errorCount + a.apiErrorCount)
+  );
+}
+
+// Most recently reported Web Vitals snapshot across sessions
+function getLatestPerformance(db) {
+  return (
+    Object.values(db.sessions)
+      .map((s) => s.performance)
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0] || null
+  );
+}
 
-    groups[key].count++;
-    groups[key].lastSeen = error.timestamp;
+function formatPerformance(p) {
+  if (!p) return "N/A";
+  const parts = [
+    `LCP ${p.lcp ?? "?"}ms`,
+    `CLS ${p.cls ?? "?"}`,
+    `INP ${p.inp ?? "?"}ms`,
+    `TTFB ${p.ttfb ?? "?"}ms`,
+    `${p.longTasks?.count || 0} long task(s), TBT ${
+      p.longTasks?.totalBlockingTime || 0
+    }ms`,
+  ];
+  if (p.memory) parts.push(`heap ${p.memory.usedMB}/${p.memory.limitMB}MB`);
+  const poor = Object.keys(p.ratings || {}).filter(
+    (name) => p.ratings[name] === "poor"
+  );
+  if (poor.length) parts.push(`poor: ${poor.join(", ").toUpperCase()}`);
+  return parts.join(" | ");
+}
+
+// User-action breadcrumbs arrive attached to page errors and crashes; merge and de-duplicate
+function collectBreadcrumbs(db) {
+  const seen = new Set();
+  const crumbs = [];
+
+  [...db.pageErrors, ...db.crashes].forEach((e) => {
+    (e.breadcrumbs || []).forEach((c) => {
+      const key = `${c.timestamp}|${c.type}|${c.target || c.detail}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      crumbs.push(c);
+    });
   });
 
-  return Object.values(groups).sort((a, b) => b.count - a.count);
+  return crumbs;
+}
+
+// One readable line per breadcrumb, e.g. 'click button.save "Save"'
+function formatBreadcrumb(c) {
+  switch (c.type) {
+    case "click":
+      return `click ${c.target}${c.text ? ` "${c.text}"` : ""}`;
+    case "submit":
+      return `submit ${c.target} ${c.detail || ""}`.trim();
+    case "keypress":
+      return `press ${c.key} in ${c.target}`;
+    case "typing":
+      return `type ${c.count} key(s) in ${c.target}`;
+    case "focus":
+      return `focus ${c.target}`;
+    case "navigation":
+      return `navigate (${c.trigger}) to ${c.detail}`;
+    case "visibility":
+      return `page ${c.detail}`;
+    default:
+      return `${c.type} ${c.target || c.detail || ""}`.trim();
+  }
 }
 
 // Find API calls that happened around the same time as an error
-function findRelatedApiCalls(errorTimestamp) {
+function findRelatedApiCalls(db, errorTimestamp) {
   if (!errorTimestamp) return [];
 
   const errorTime = new Date(errorTimestamp).getTime();
@@ -643,6 +1749,13 @@ function findRelatedApiCalls(errorTimestamp) {
 // =============================================
 let lastScreenshotTime = 0;
 
+// Screenshots taken on the extension's own initiative ("Auto-capture
+// Screenshot on Crash"); the popup's capture button always works
+function autoScreenshot(tabId, reason) {
+  if (!settings.autoScreenshot) return;
+  captureScreenshot(tabId, reason).catch(() => {});
+}
+
 async function captureScreenshot(tabId, reason) {
   // Throttle
   if (Date.now() - lastScreenshotTime < 1000) {
@@ -656,31 +1769,51 @@ async function captureScreenshot(tabId, reason) {
       quality: 80,
     });
 
-    const ss = {
-      id: genId(),
-      tabId,
-      reason,
-      dataUrl,
-      timestamp: new Date().toISOString(),
-    };
-
-    db.screenshots.push(ss);
-    if (db.screenshots.length > 30) db.screenshots.shift();
-
-    return ss;
+    return storeScreenshot(tabId, reason, dataUrl);
   } catch (e) {
     return null;
   }
 }
 
+async function storeScreenshot(tabId, reason, dataUrl) {
+  const ss = {
+    id: genId(),
+    tabId,
+    reason,
+    dataUrl,
+    timestamp: new Date().toISOString(),
+  };
+
+  await storeEvent("screenshots", ss);
+  return ss;
+}
+
 // =============================================
 // TICKET GENERATION - Enhanced with better formatting
 // =============================================
-function generateTicket() {
+// Events of muted issues stay out of tickets
+function withoutMutedIssues(db) {
+  const muted = new Set(
+    db.issues
+      .filter((issue) => issue.status === "muted")
+      .map((issue) => issue.fingerprint)
+  );
+  const out = { ...db };
+  L2EventStore.EVENT_LISTS.forEach((list) => {
+    out[list] = db[list].filter((e) => !muted.has(e.fingerprint));
+  });
+  return out;
+}
+
+function generateTicket(snapshot) {
+  const db = withoutMutedIssues(snapshot);
   const recentCrashes = db.crashes.slice(-5);
   const recentApiErrors = db.apiErrors.slice(-10);
   const recentConsoleErrors = db.consoleErrors.slice(-10);
   const recentPageErrors = db.pageErrors.slice(-10);
+  const recentWorkerErrors = db.workerErrors.slice(-10);
+  const recentPolicyViolations = db.policyViolations.slice(-10);
+  const performance = getLatestPerformance(db);
 
   const md = `# Bug Report - L2 Agent
 
@@ -691,9 +1824,18 @@ function generateTicket() {
 - API Errors: ${db.apiErrors.length}
 - Console Errors: ${db.consoleErrors.length}
 - Page Errors: ${db.pageErrors.length}
+- Worker Errors: ${db.workerErrors.length}
+- Policy Violations: ${db.policyViolations.length}
 - API Requests Logged: ${db.apiRequests.length}
 - Screenshots: ${db.screenshots.length}
 
+## Performance
+${formatPerformance(performance)}${
+    performance
+      ? `\n(measured on ${performance.url} at ${performance.timestamp})`
+      : ""
+  }
+
 ## Crashes
 ${recentCrashes
   .map(
@@ -701,9 +1843,19 @@ ${recentCrashes
 ### Crash ${i + 1}
 - **Time:** ${c.timestamp}
 - **URL:** ${c.pageUrl || c.tabUrl || c.url}
+- **Route:** ${c.route || "N/A"}
 - **Reason:** ${c.reason || "Unknown"}
+- **Performance:** ${formatPerformance(c.performance)}
 - **Detected Element Text:** ${c.text?.slice(0, 200) || "N/A"}
 
+**Steps Before Crash:**
+${
+  (c.breadcrumbs || [])
+    .slice(-10)
+    .map((b, idx) => `${idx + 1}. ${formatBreadcrumb(b)}`)
+    .join("\n") || "None captured"
+}
+
 **Related Console Errors (${c.recentConsoleErrors?.length || 0}):**
 ${
   (c.recentConsoleErrors || [])
@@ -718,13 +1870,24 @@ ${
     .slice(-5)
     .map(
       (e) =>
-        `- ${e.errorType}: ${e.message?.slice(0, 100)} (${e.filename}:${
-          e.lineno
+        `- ${e.errorType}: ${e.message?.slice(0, 100)} (${
+          formatOriginalLocation(e.resolvedFrames?.[0]) ||
+          `${e.filename}:${e.lineno}`
         })`
     )
     .join("\n") || "None captured"
 }
 
+**Slowest Requests Before Crash:**
+${
+  (c.networkWaterfall || [])
+    .slice()
+    .sort((a, b) => b.duration - a.duration)
+    .slice(0, 5)
+    .map((r) => `- ${formatWaterfallRow(r)}`)
+    .join("\n") || "None captured"
+}
+
 **Related API Errors (${c.recentApiErrors?.length || 0}):**
 ${
   (c.recentApiErrors || [])
@@ -741,12 +1904,26 @@ ${recentApiErrors
   .map(
     (e) => `
 - **${e.method || "?"} ${e.url?.slice(0, 100)}**
-  - Status: ${e.status} ${e.statusText || ""}
-  - Error: ${e.error || e.errorDetails?.message || "N/A"}
+  - Status: ${e.status} ${e.statusText || ""}${
+      e.graphql
+        ? `\n  - GraphQL: ${e.graphql.operationType} ${e.graphql.operationName}`
+        : ""
+    }
+  - Error: ${e.error || e.errorDetails?.message || "N/A"}${
+      e.softError
+        ? ` (soft failure: ${e.softError.conditions.join(" && ")})`
+        : ""
+    }
   - Trace ID: ${e.traceId || "N/A"}${
       e.traceIdHeader ? ` (${e.traceIdHeader})` : ""
     }
-  - Time: ${e.timestamp}
+  - Time: ${e.timestamp}${
+      e.type === "resource_error"
+        ? `\n  - Resource: ${e.resourceKind}${
+            e.isChunk ? " (chunk)" : ""
+          }, requested by ${e.initiator}`
+        : ""
+    }
 `
   )
   .join("\n")}
@@ -758,7 +1935,11 @@ ${recentConsoleErrors
 - **${e.errorType || e.type}**: ${e.message?.slice(0, 200)}
   - Time: ${e.timestamp}
   - URL: ${e.url || "N/A"}
-${e.stack ? `  - Stack: \`${e.stack.split("\n")[0]}\`` : ""}
+${
+  e.stack
+    ? `  - Stack: \`${(e.resolvedStack || e.stack).split("\n")[0].trim()}\``
+    : ""
+}
 `
   )
   .join("\n")}
@@ -768,17 +1949,63 @@ ${recentPageErrors
   .map(
     (e) => `
 - **${e.errorType || e.type}**: ${e.message?.slice(0, 200)}
-  - File: ${e.filename || "N/A"}:${e.lineno || 0}:${e.colno || 0}
+  - File: ${e.filename || "N/A"}:${e.lineno || 0}:${e.colno || 0}${
+      e.resolvedFrames?.[0]
+        ? `\n  - Source: ${formatOriginalLocation(e.resolvedFrames[0])}`
+        : ""
+    }${
+      e.framework
+        ? `\n  - ${e.framework}: ${e.renderPath || e.routeName || "N/A"}`
+        : ""
+    }
   - Time: ${e.timestamp}
 ${
   e.stack
-    ? `  - Stack: \`${e.stack.split("\n").slice(0, 3).join(" -> ")}\``
+    ? `  - Stack: \`${(e.resolvedStack || e.stack)
+        .split("\n")
+        .slice(0, 3)
+        .map((l) => l.trim())
+        .join(" -> ")}\``
     : ""
 }
 `
   )
   .join("\n")}
 
+## Recent Worker Errors
+${
+  recentWorkerErrors
+    .map(
+      (e) => `
+- **${e.workerType} worker ${e.event}**: ${e.message?.slice(0, 200)}
+  - Script: ${e.scriptUrl || "N/A"}${
+        e.filename ? `\n  - File: ${e.filename}:${e.lineno}:${e.colno}` : ""
+      }
+  - Time: ${e.timestamp}
+`
+    )
+    .join("\n") || "None captured"
+}
+
+## Policy Violations (CSP / Browser Reports)
+${
+  recentPolicyViolations
+    .map((v) =>
+      v.kind === "csp"
+        ? `
+- **CSP ${v.directive}** (${v.disposition}): blocked ${v.blockedUri || "inline"}
+  - Source: ${v.sourceFile ? `${v.sourceFile}:${v.lineno}:${v.colno}` : "N/A"}
+  - Time: ${v.timestamp}
+`
+        : `
+- **${v.kind} ${v.reportId}**: ${v.message?.slice(0, 200)}
+  - Source: ${v.sourceFile ? `${v.sourceFile}:${v.lineno}:${v.colno}` : "N/A"}
+  - Time: ${v.timestamp}
+`
+    )
+    .join("\n") || "None captured"
+}
+
 ## Screenshots
 ${db.screenshots.length} screenshot(s) captured.
 
@@ -793,6 +2020,9 @@ ${db.screenshots.length} screenshot(s) captured.
       apiErrors: recentApiErrors,
       consoleErrors: recentConsoleErrors,
       pageErrors: recentPageErrors,
+      workerErrors: recentWorkerErrors,
+      policyViolations: recentPolicyViolations,
+      performance,
       screenshots: db.screenshots
         .slice(-5)
         .map((s) => ({ ...s, dataUrl: "[image]" })),
@@ -803,20 +2033,107 @@ ${db.screenshots.length} screenshot(s) captured.
 // =============================================
 // UTILITIES
 // =============================================
+// "GET 200 https://host/api/tickets - 340ms (dns 0 / tls 0 / ttfb 210 / download 12ms)"
+function formatWaterfallRow(row) {
+  const parts = [
+    row.method || row.initiatorType,
+    row.status,
+    row.url?.slice(0, 100),
+  ]
+    .filter(Boolean)
+    .join(" ");
+  const phases = row.phases
+    ? ` (dns ${row.phases.dns} / tls ${row.phases.tls} / ttfb ${row.phases.ttfb} / download ${row.phases.download}ms)`
+    : "";
+  return `${parts} - ${row.duration}ms${phases}`;
+}
+
+// "src/components/Ticket.js:42:5 (renderTicket)" from a resolved frame
+function formatOriginalLocation(frame) {
+  if (!frame?.source) return null;
+  const location = `${frame.source}:${frame.line}:${(frame.column || 0) + 1}`;
+  return frame.name ? `${location} (${frame.name})` : location;
+}
+
+// Same problem, same key - indexed in the event store and the key of its
+// issue. API failures key on method, path and status; everything else on the
+// first line of the message plus the top in-app stack frames. Ids, emails,
+// numbers and build hashes are masked so per-request values and new deploys
+// don't split it.
+const FINGERPRINT_FRAMES = 3;
+const VENDOR_FRAME =
+  /node_modules|\/vendors?[~.\-/]|chrome-extension:|extensions::|<anonymous>/i;
+
+function maskIds(text) {
+  return String(text || "")
+    .split("\n")[0]
+    .replace(/[^\s@'"]+@[^\s@'"]+\.[a-z]{2,}/gi, "<email>")
+    .replace(/\b[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}\b/gi, "#")
+    .replace(/\b[0-9a-f]{8,}\b|\d+/gi, "#")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 200);
+}
+
+// "fn@file" for the first frames outside libraries and the browser; line
+// numbers move with every deploy, so they're left out
+function topAppFrames(stack) {
+  return String(stack || "")
+    .split("\n")
+    .map(
+      (line) =>
+        line.match(/^\s*at (?:(.+?) \()?(.+?):\d+:\d+\)?$/) || // Chrome
+        line.match(/^\s*([^@]*)@(.+?):\d+:\d+$/) // Firefox, Safari
+    )
+    .filter((frame) => frame && !VENDOR_FRAME.test(frame[2]))
+    .slice(0, FINGERPRINT_FRAMES)
+    .map(([, fn, file]) => {
+      const name = file.split(/[?#]/)[0].split("/").pop();
+      return `${fn || "?"}@${maskIds(name)}`;
+    });
+}
+
+function eventFingerprint(type, data) {
+  if (
+    data.url &&
+    ["api_error", "resource_error", "api_request"].includes(type)
+  ) {
+    let path = data.url;
+    try {
+      path = new URL(data.url).pathname;
+    } catch {}
+    return `${type}:${data.method || "GET"} ${maskIds(path)}:${
+      data.status ?? ""
+    }`;
+  }
+  const frames = topAppFrames(data.stack);
+  const where = frames.length > 0 ? ` @ ${frames.join(" < ")}` : "";
+  return `${type}:${maskIds(data.message || data.reason)}${where}`;
+}
+
 function genId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
 }
 
-function updateBadge() {
-  const count = db.crashes.length + db.pageErrors.length;
-  const text = count > 0 ? (count > 99 ? "99+" : String(count)) : "";
-  const color = db.crashes.length > 0 ? "#ef4444" : "#f97316";
+async function updateBadge() {
+  try {
+    const counts = await L2EventStore.counts([...mutedFingerprints]);
+    const count = counts.crashes + counts.pageErrors;
+    const text = count > 0 ? (count > 99 ? "99+" : String(count)) : "";
+    const color = counts.crashes > 0 ? "#ef4444" : "#f97316";
 
-  chrome.action.setBadgeText({ text });
-  chrome.action.setBadgeBackgroundColor({ color });
+    chrome.action.setBadgeText({ text });
+    chrome.action.setBadgeBackgroundColor({ color });
+  } catch (e) {
+    console.error("L2 BG: Badge update failed", e);
+  }
 }
 
-function notify(title, message) {
+// Only crash-type events notify, so "Show Notification on Crash" covers them all
+function notify(title, message, fingerprint) {
+  if (!settings.crashNotification || mutedFingerprints.has(fingerprint)) {
+    return;
+  }
   try {
     chrome.notifications.create({
       type: "basic",
@@ -826,6 +2143,3 @@ function notify(title, message) {
     });
   } catch {}
 }
-
-// Init
-loadFromStorage();
@@ -15,34 +15,87 @@
     apiErrors: [],
     apiRequests: [],
     crashes: [],
+    routeChanges: [],
+    workerErrors: [],
+    performance: null, // Latest Web Vitals snapshot
     sessionId: null,
-    pageUrl: location.href,
+    pageUrl: location.href, // Follows client-side navigations via route_change
+    currentRoute: null,
   };
 
+  // null until storage answers - events before that are forwarded and the
+  // background (which always has settings) decides
+  let settings = null;
+
   // =============================================
-  // INJECT MAIN WORLD SCRIPT
+  // INJECT MAIN WORLD SCRIPTS
   // =============================================
+  // Order matters: shared helpers must load before injected.js uses them
+  const MAIN_WORLD_SCRIPTS = [
+    "settings.js",
+    "redaction.js",
+    "softFailure.js",
+    "injected.js",
+  ];
+
   function injectMainWorldScript() {
-    try {
-      const script = document.createElement("script");
-      script.src = chrome.runtime.getURL("injected.js");
-      script.onload = function () {
-        this.remove();
-      };
-      script.onerror = function (e) {
-        console.error("🔴 L2 Agent: Failed to inject main world script", e);
-      };
-
-      // Inject as early as possible
-      (document.head || document.documentElement).appendChild(script);
-    } catch (e) {
-      console.error("🔴 L2 Agent: Script injection error:", e);
-    }
+    MAIN_WORLD_SCRIPTS.forEach((file) => {
+      try {
+        const script = document.createElement("script");
+        script.src = chrome.runtime.getURL(file);
+        script.async = false; // Preserve execution order
+        script.onload = function () {
+          this.remove();
+          if (file === "injected.js") pushConfigToMainWorld();
+        };
+        script.onerror = function (e) {
+          console.error(`🔴 L2 Agent: Failed to inject ${file}`, e);
+        };
+
+        // Inject as early as possible
+        (document.head || document.documentElement).appendChild(script);
+      } catch (e) {
+        console.error("🔴 L2 Agent: Script injection error:", e);
+      }
+    });
   }
 
   // Inject immediately
   injectMainWorldScript();
 
+  // =============================================
+  // PUSH CONFIG TO MAIN WORLD
+  // =============================================
+  // The main world has no chrome.* access, so settings are relayed from here.
+  // The log search token never leaves the extension.
+  function pushConfigToMainWorld() {
+    if (!settings) return;
+    const { logSearchToken, ...pageSettings } = settings;
+    window.postMessage(
+      {
+        source: "L2_AGENT_CONTENT",
+        action: "updateSettings",
+        settings: pageSettings,
+      },
+      "*"
+    );
+  }
+
+  function applySettings(updated) {
+    settings = updated;
+    pushConfigToMainWorld();
+  }
+
+  try {
+    L2Settings.load()
+      .then(applySettings)
+      .catch(() => {});
+    // Options page saves reach every open tab without a reload
+    L2Settings.onChange(applySettings);
+  } catch (e) {
+    // Extension context invalidated - keep forwarding, background filters
+  }
+
   // =============================================
   // LISTEN FOR MESSAGES FROM MAIN WORLD
   // =============================================
@@ -58,6 +111,10 @@
       data.sessionId = payload.sessionId;
     }
 
+    if (settings && !L2Settings.eventAllowed(settings, type, location.href)) {
+      return;
+    }
+
     // Store locally for crash context
     switch (type) {
       case "console_error":
@@ -73,6 +130,7 @@
         break;
 
       case "api_error":
+      case "resource_error":
         data.apiErrors.push(payload);
         if (data.apiErrors.length > 100) data.apiErrors.shift();
         break;
@@ -82,6 +140,22 @@
         if (data.apiRequests.length > 200) data.apiRequests.shift();
         break;
 
+      case "route_change":
+        data.pageUrl = payload.to;
+        data.currentRoute = payload.route;
+        data.routeChanges.push(payload);
+        if (data.routeChanges.length > 50) data.routeChanges.shift();
+        break;
+
+      case "worker_error":
+        data.workerErrors.push(payload);
+        if (data.workerErrors.length > 50) data.workerErrors.shift();
+        break;
+
+      case "performance_metrics":
+        data.performance = payload;
+        break;
+
       case "crash_detected":
         // Enrich crash with all collected context
         const enrichedCrash = {
@@ -119,7 +193,7 @@
         data: {
           ...payload,
           sessionId: data.sessionId || payload.sessionId,
-          pageUrl: data.pageUrl,
+          pageUrl: payload.pageUrl || data.pageUrl,
         },
       });
     } catch (e) {
@@ -132,11 +206,15 @@
   // =============================================
   let lastScreenshot = 0;
   function requestScreenshot(reason) {
+    if (reason !== "manual" && settings && !settings.autoScreenshot) return;
     if (Date.now() - lastScreenshot < 2000) return;
     lastScreenshot = Date.now();
 
     try {
-      chrome.runtime.sendMessage({ action: "autoScreenshot", reason });
+      chrome.runtime.sendMessage({
+        action: reason === "manual" ? "captureScreenshot" : "autoScreenshot",
+        reason,
+      });
     } catch {}
   }
 
@@ -158,8 +236,12 @@
             apiErrors: data.apiErrors,
             apiRequests: data.apiRequests,
             crashes: data.crashes,
+            routeChanges: data.routeChanges,
+            workerErrors: data.workerErrors,
+            performance: data.performance,
             sessionId: data.sessionId,
             pageUrl: data.pageUrl,
+            currentRoute: data.currentRoute,
           },
         });
         break;
@@ -170,6 +252,8 @@
         data.apiErrors = [];
         data.apiRequests = [];
         data.crashes = [];
+        data.routeChanges = [];
+        data.workerErrors = [];
         respond({ success: true });
         break;
 
@@ -0,0 +1,568 @@
+// L2 Agent - Event Store
+// IndexedDB storage for captured events, used by background.js
+// One object store per event list plus one for sessions. Events are appended
+// once as their own record; the only later writes to a record are enrichments
+// of that same event (backend logs, symbolicated stacks). Each list is capped
+// by "Maximum Stored Errors" and the oldest events are evicted first - across
+// all lists, screenshots first, when the extension nears its storage quota.
+// Pinned events are never evicted or cleaned up. Issues (events grouped by
+// fingerprint, see background.js) have a store of their own and outlive the
+// events they were built from.
+
+(function (root) {
+  "use strict";
+
+  const DB_NAME = "l2-agent";
+  const DB_VERSION = 2;
+
+  const EVENT_LISTS = [
+    "crashes",
+    "apiErrors",
+    "apiRequests",
+    "consoleErrors",
+    "pageErrors",
+    "uiFreezes",
+    "workerErrors",
+    "policyViolations",
+    "screenshots",
+  ];
+  const INDEXES = ["sessionId", "timestamp", "fingerprint"];
+
+  const DEFAULT_PAGE_SIZE = 50;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const MB = 1024 * 1024;
+
+  // Usage share of the quota that triggers eviction, and where it stops
+  const QUOTA = {
+    HIGH_WATER: 0.8,
+    LOW_WATER: 0.6,
+    EVICT_SHARE: 0.25, // Of a list per eviction pass
+    CHECK_EVERY: 50, // Appends between estimates (screenshots always check)
+  };
+
+  let dbPromise = null;
+  let appendsSinceCheck = 0;
+
+  // =============================================
+  // IDB HELPERS
+  // =============================================
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function done(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onabort = tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Calls visit(cursor.value) until it returns false or the range runs out
+  function walk(source, range, direction, visit) {
+    return new Promise((resolve, reject) => {
+      const req = source.openCursor(range, direction);
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor || visit(cursor.value, cursor) === false) {
+          resolve();
+          return;
+        }
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const idb = req.result;
+          EVENT_LISTS.forEach((list) => {
+            if (idb.objectStoreNames.contains(list)) return;
+            const store = idb.createObjectStore(list, {
+              keyPath: "seq",
+              autoIncrement: true,
+            });
+            INDEXES.forEach((field) => store.createIndex(field, field));
+          });
+          if (!idb.objectStoreNames.contains("sessions")) {
+            idb.createObjectStore("sessions", { keyPath: "id" });
+          }
+          if (!idb.objectStoreNames.contains("issues")) {
+            idb
+              .createObjectStore("issues", { keyPath: "fingerprint" })
+              .createIndex("lastSeen", "lastSeen");
+          }
+        };
+        req.onsuccess = () => {
+          const idb = req.result;
+          // A newer schema opened elsewhere (extension updated) - reopen lazily
+          idb.onversionchange = () => {
+            idb.close();
+            dbPromise = null;
+          };
+          resolve(idb);
+        };
+        req.onerror = () => {
+          dbPromise = null;
+          reject(req.error);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  function deleteOldest(store, count) {
+    let left = count;
+    return walk(store, null, "next", (value, cursor) => {
+      if (left <= 0) return false;
+      if (value.pinned) return true;
+      cursor.delete();
+      left--;
+      return true;
+    }).then(() => count - left);
+  }
+
+  // Roughly what a record costs to keep - close enough for budgets and the
+  // options page breakdown
+  function sizeOf(value) {
+    return JSON.stringify(value).length;
+  }
+
+  function eventTime(value) {
+    return value.receivedAt || value.timestamp || null;
+  }
+
+  // =============================================
+  // WRITES
+  // =============================================
+  /**
+   * Stores a new event and evicts the oldest beyond the list's cap
+   * @param {String} list - Event list (crashes, apiErrors, ...)
+   * @param {Object} entry - Event; its key is set on it as entry.seq
+   * @param {Number} limit - Most events to keep in the list
+   * @returns {Promise<Number>} The event's seq
+   */
+  async function append(list, entry, limit) {
+    const idb = await open();
+    const write = async () => {
+      const tx = idb.transaction(list, "readwrite");
+      const store = tx.objectStore(list);
+      const { seq, ...record } = entry;
+      const key = await request(store.add(record));
+      if (limit) {
+        const count = await request(store.count());
+        if (count > limit) await deleteOldest(store, count - limit);
+      }
+      await done(tx);
+      return key;
+    };
+
+    let key;
+    try {
+      key = await write();
+    } catch (e) {
+      if (e?.name !== "QuotaExceededError") throw e;
+      await enforceQuota(true);
+      key = await write();
+    }
+    entry.seq = key;
+
+    appendsSinceCheck++;
+    if (list === "screenshots" || appendsSinceCheck >= QUOTA.CHECK_EVERY) {
+      appendsSinceCheck = 0;
+      enforceQuota().catch(() => {});
+    }
+    return key;
+  }
+
+  /**
+   * Writes a late enrichment (backend logs, resolved stack) onto a stored event
+   * @param {String} list - List the event was appended to
+   * @param {Object} entry - The appended event, with its seq
+   */
+  async function amend(list, entry) {
+    if (entry?.seq == null) return;
+    const idb = await open();
+    const tx = idb.transaction(list, "readwrite");
+    const store = tx.objectStore(list);
+    // Evicted while the enrichment was in flight - don't bring it back
+    if (await request(store.getKey(entry.seq))) store.put(entry);
+    await done(tx);
+  }
+
+  /**
+   * Pins or unpins a stored event; pinned events survive every cleanup
+   * @param {String} list - Event list
+   * @param {Number} seq - Event key
+   * @param {Boolean} pinned
+   * @returns {Promise<Boolean>} False if the event no longer exists
+   */
+  async function setPinned(list, seq, pinned) {
+    const idb = await open();
+    const tx = idb.transaction(list, "readwrite");
+    const store = tx.objectStore(list);
+    const record = await request(store.get(seq));
+    if (record) {
+      if (pinned) record.pinned = true;
+      else delete record.pinned;
+      store.put(record);
+    }
+    await done(tx);
+    return Boolean(record);
+  }
+
+  /**
+   * Removes events past their list's age limit, then the oldest beyond its
+   * size limit. Pinned events are kept and don't count toward the size.
+   * @param {Object} retention - { crashes: { maxAgeDays, maxSizeMB }, ... }
+   * @returns {Promise<Object>} Removed counts per list
+   */
+  async function applyRetention(retention) {
+    const idb = await open();
+    const removed = {};
+    for (const list of EVENT_LISTS) {
+      const policy = retention[list];
+      if (!policy || (!policy.maxAgeDays && !policy.maxSizeMB)) continue;
+
+      const cutoff = policy.maxAgeDays
+        ? new Date(Date.now() - policy.maxAgeDays * DAY_MS).toISOString()
+        : null;
+      const maxBytes = policy.maxSizeMB * MB;
+      let keptBytes = 0;
+      let full = false;
+      let count = 0;
+
+      // Newest first, so the size budget goes to the most recent events
+      const tx = idb.transaction(list, "readwrite");
+      await walk(tx.objectStore(list), null, "prev", (value, cursor) => {
+        if (value.pinned) return true;
+        const time = eventTime(value);
+        if (!full && maxBytes) {
+          keptBytes += sizeOf(value);
+          full = keptBytes > maxBytes;
+        }
+        if (full || (cutoff && time && time < cutoff)) {
+          cursor.delete();
+          count++;
+        }
+        return true;
+      });
+      await done(tx);
+      if (count) removed[list] = count;
+    }
+    return removed;
+  }
+
+  async function putSession(session) {
+    const idb = await open();
+    const tx = idb.transaction("sessions", "readwrite");
+    tx.objectStore("sessions").put(session);
+    await done(tx);
+  }
+
+  /**
+   * Evicts the oldest events beyond each list's cap
+   * @param {Object} limits - { crashes: 50, ... } from L2Settings.storageLimits
+   */
+  async function trim(limits) {
+    const idb = await open();
+    const lists = EVENT_LISTS.filter((list) => limits[list]);
+    const tx = idb.transaction(lists, "readwrite");
+    await Promise.all(
+      lists.map(async (list) => {
+        const store = tx.objectStore(list);
+        const count = await request(store.count());
+        if (count > limits[list]) {
+          await deleteOldest(store, count - limits[list]);
+        }
+      })
+    );
+    await done(tx);
+  }
+
+  /**
+   * Read-modify-write of one issue in a single transaction, so events
+   * arriving together can't lose each other's counts
+   * @param {String} fingerprint - Issue key
+   * @param {Function} update - (issue|null) => issue to store, or null to skip
+   * @returns {Promise<Object|null>} The stored issue
+   */
+  async function updateIssue(fingerprint, update) {
+    const idb = await open();
+    const tx = idb.transaction("issues", "readwrite");
+    const store = tx.objectStore("issues");
+    const issue = update((await request(store.get(fingerprint))) || null);
+    if (issue) store.put(issue);
+    await done(tx);
+    return issue;
+  }
+
+  async function getIssues() {
+    const idb = await open();
+    return request(idb.transaction("issues").objectStore("issues").getAll());
+  }
+
+  // Untriaged issues not seen since the cutoff; triaged ones are kept so a
+  // muted issue stays muted and a resolved one can still regress
+  async function removeStaleIssues(cutoff) {
+    const idb = await open();
+    const tx = idb.transaction("issues", "readwrite");
+    let count = 0;
+    await walk(
+      tx.objectStore("issues").index("lastSeen"),
+      IDBKeyRange.upperBound(cutoff, true),
+      "next",
+      (issue, cursor) => {
+        if (issue.status === "new") {
+          cursor.delete();
+          count++;
+        }
+        return true;
+      }
+    );
+    await done(tx);
+    return count;
+  }
+
+  async function removeSessions(ids) {
+    const idb = await open();
+    const tx = idb.transaction("sessions", "readwrite");
+    ids.forEach((id) => tx.objectStore("sessions").delete(id));
+    await done(tx);
+  }
+
+  async function clear() {
+    const idb = await open();
+    const stores = [...EVENT_LISTS, "sessions", "issues"];
+    const tx = idb.transaction(stores, "readwrite");
+    stores.forEach((name) => tx.objectStore(name).clear());
+    await done(tx);
+  }
+
+  /**
+   * One-time move of the old chrome.storage "errorDb" blob into the store
+   * @param {Object} legacy - { crashes: [...], ..., sessions: {} }
+   */
+  async function importLegacy(legacy) {
+    const idb = await open();
+    const tx = idb.transaction([...EVENT_LISTS, "sessions"], "readwrite");
+    EVENT_LISTS.forEach((list) => {
+      (legacy[list] || []).forEach(({ seq, ...entry }) =>
+        tx.objectStore(list).add(entry)
+      );
+    });
+    Object.values(legacy.sessions || {}).forEach((session) =>
+      tx.objectStore("sessions").put(session)
+    );
+    await done(tx);
+  }
+
+  // =============================================
+  // QUOTA
+  // =============================================
+  async function estimate() {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota, ratio: quota ? usage / quota : 0 };
+  }
+
+  /**
+   * Evicts the oldest share of each list, screenshots first, while usage is
+   * over the high-water mark
+   * @param {Boolean} force - Evict at least one pass (a write already failed)
+   * @returns {Promise<Object|null>} Evicted counts per list, null if none
+   */
+  async function enforceQuota(force = false) {
+    let { ratio } = await estimate();
+    if (!force && ratio < QUOTA.HIGH_WATER) return null;
+
+    const idb = await open();
+    const evicted = {};
+    const order = [
+      "screenshots",
+      ...EVENT_LISTS.filter((list) => list !== "screenshots"),
+    ];
+    for (const list of order) {
+      const tx = idb.transaction(list, "readwrite");
+      const store = tx.objectStore(list);
+      const count = await request(store.count());
+      const removed = await deleteOldest(
+        store,
+        Math.ceil(count * QUOTA.EVICT_SHARE)
+      );
+      await done(tx);
+      if (removed) evicted[list] = removed;
+
+      ({ ratio } = await estimate());
+      if (ratio < QUOTA.LOW_WATER) break;
+    }
+
+    console.warn("L2 Event store: storage nearly full, evicted", evicted);
+    return evicted;
+  }
+
+  // =============================================
+  // READS
+  // =============================================
+  /**
+   * Newest-first page of a list
+   * @param {String} list - Event list
+   * @param {Object} options - { sessionId, fingerprint, since, until, before, limit }
+   *   since/until are ISO timestamps; before is nextCursor from the previous page
+   * @returns {Promise<Object>} { items, nextCursor } - nextCursor null on the last page
+   */
+  async function query(list, options = {}) {
+    const { sessionId, fingerprint, since, until, before } = options;
+    const limit = options.limit > 0 ? options.limit : DEFAULT_PAGE_SIZE;
+    const idb = await open();
+    const store = idb.transaction(list).objectStore(list);
+
+    // Session and fingerprint ranges walk in seq order like the store itself;
+    // the timestamp index doesn't, so those matches are collected and sorted
+    let source = store;
+    let range = before != null ? IDBKeyRange.upperBound(before, true) : null;
+    const byTime = !sessionId && !fingerprint && Boolean(since || until);
+    if (sessionId || fingerprint) {
+      source = store.index(sessionId ? "sessionId" : "fingerprint");
+      range = IDBKeyRange.only(sessionId || fingerprint);
+    } else if (byTime) {
+      source = store.index("timestamp");
+      range =
+        since && until
+          ? IDBKeyRange.bound(since, until)
+          : since
+          ? IDBKeyRange.lowerBound(since)
+          : IDBKeyRange.upperBound(until);
+    }
+
+    const matches = (item) =>
+      (before == null || item.seq < before) &&
+      (!fingerprint || item.fingerprint === fingerprint) &&
+      (!since || item.timestamp >= since) &&
+      (!until || item.timestamp <= until);
+
+    const found = [];
+    await walk(source, range, "prev", (item) => {
+      if (matches(item)) found.push(item);
+      return byTime || found.length <= limit;
+    });
+    if (byTime) found.sort((a, b) => b.seq - a.seq);
+
+    const items = found.slice(0, limit);
+    return {
+      items,
+      nextCursor: found.length > limit ? items[items.length - 1].seq : null,
+    };
+  }
+
+  /**
+   * Per-list storage breakdown for the options page
+   * @returns {Promise<Object>} { lists: { crashes: { count, pinned, bytes, oldest }, ... }, usage, quota, ratio }
+   */
+  async function usage() {
+    const idb = await open();
+    const lists = {};
+    for (const list of EVENT_LISTS) {
+      const stats = { count: 0, pinned: 0, bytes: 0, oldest: null };
+      await walk(
+        idb.transaction(list).objectStore(list),
+        null,
+        "next",
+        (value) => {
+          const time = eventTime(value);
+          stats.count++;
+          if (value.pinned) stats.pinned++;
+          stats.bytes += sizeOf(value);
+          if (time && (!stats.oldest || time < stats.oldest)) {
+            stats.oldest = time;
+          }
+          return true;
+        }
+      );
+      lists[list] = stats;
+    }
+    return { lists, ...(await estimate()) };
+  }
+
+  /**
+   * Events per list
+   * @param {Array<String>} excludeFingerprints - Left out of the counts (muted issues)
+   * @returns {Promise<Object>} { crashes: 3, ... }
+   */
+  async function counts(excludeFingerprints = []) {
+    const idb = await open();
+    const tx = idb.transaction(EVENT_LISTS);
+    const result = {};
+    await Promise.all(
+      EVENT_LISTS.map(async (list) => {
+        const store = tx.objectStore(list);
+        const [total, ...excluded] = await Promise.all([
+          request(store.count()),
+          ...excludeFingerprints.map((fingerprint) =>
+            request(
+              store.index("fingerprint").count(IDBKeyRange.only(fingerprint))
+            )
+          ),
+        ]);
+        result[list] = excluded.reduce((n, count) => n - count, total);
+      })
+    );
+    return result;
+  }
+
+  async function getSessions() {
+    const idb = await open();
+    const all = await request(
+      idb.transaction("sessions").objectStore("sessions").getAll()
+    );
+    const sessions = {};
+    all.forEach((session) => (sessions[session.id] = session));
+    return sessions;
+  }
+
+  /**
+   * Everything, oldest first - for exports and tickets, not for hot paths
+   * @returns {Promise<Object>} { crashes: [...], ..., sessions: {}, issues: [...] }
+   */
+  async function snapshot() {
+    const idb = await open();
+    const tx = idb.transaction(EVENT_LISTS);
+    const result = {};
+    await Promise.all(
+      EVENT_LISTS.map(async (list) => {
+        result[list] = await request(tx.objectStore(list).getAll());
+      })
+    );
+    result.sessions = await getSessions();
+    result.issues = await getIssues();
+    return result;
+  }
+
+  root.L2EventStore = {
+    EVENT_LISTS,
+    append,
+    amend,
+    setPinned,
+    applyRetention,
+    putSession,
+    removeSessions,
+    updateIssue,
+    getIssues,
+    removeStaleIssues,
+    trim,
+    clear,
+    importLegacy,
+    estimate,
+    enforceQuota,
+    query,
+    counts,
+    usage,
+    getSessions,
+    snapshot,
+  };
+})(typeof self !== "undefined" ? self : window);
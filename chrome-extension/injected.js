@@ -16,12 +16,56 @@
   const _assert = console.assert?.bind(console) || (() => {});
   const _XHR = window.XMLHttpRequest;
   const _fetch = window.fetch;
+  const _WebSocket = window.WebSocket;
+  const _EventSource = window.EventSource;
+  const _Worker = window.Worker;
+  const _SharedWorker = window.SharedWorker;
+  const _Redaction = window.L2Redaction; // Loaded just before us by content.js
+  const _SoftFailure = window.L2SoftFailure;
+  const _Settings = window.L2Settings;
+
+  // Pushed by content.js once storage loads (null = capture everything until then)
+  let settings = null;
 
   const SESSION_ID = `${Date.now().toString(36)}-${Math.random()
     .toString(36)
     .slice(2, 8)}`;
   const START_TIME = Date.now();
 
+  // Current SPA route - updated by the history hooks in section 11
+  let currentRoute = describeRoute(location.href);
+
+  // "/a/tickets/1234" -> "/a/tickets/:id" so visits to the same screen group together
+  function routeTemplate(path) {
+    return (
+      path
+        .split("/")
+        .map((seg) =>
+          /^\d+$|^[0-9a-f]{8}-[0-9a-f-]{27,}$|^[0-9a-f]{16,}$/i.test(seg)
+            ? ":id"
+            : seg
+        )
+        .join("/") || "/"
+    );
+  }
+
+  function describeRoute(url) {
+    let path = url;
+    try {
+      const u = new URL(url);
+      // Hash routers (#/tickets/1, #!/tickets/1) keep the route in the hash
+      const hashRoute = /^#!?\//.test(u.hash) ? u.hash.replace(/^#!?/, "") : "";
+      path = hashRoute ? `${u.pathname}#${hashRoute}` : u.pathname;
+    } catch {}
+
+    return {
+      url,
+      path,
+      route: routeTemplate(path),
+      enteredAt: Date.now(),
+    };
+  }
+
   // Local error storage for crash context
   const localErrors = {
     page: [],
@@ -135,6 +179,14 @@
   // SEND TO CONTENT SCRIPT (via postMessage)
   // =============================================
   function sendToContentScript(type, data) {
+    // Tracking switch, Freshworks-only and the API/console capture toggles
+    if (
+      settings &&
+      _Settings &&
+      !_Settings.eventAllowed(settings, type, location.href)
+    ) {
+      return;
+    }
     try {
       window.postMessage(
         {
@@ -144,6 +196,7 @@
             ...data,
             sessionId: SESSION_ID,
             pageUrl: location.href,
+            route: data.route || currentRoute.route,
           },
         },
         "*"
@@ -289,12 +342,20 @@
   let recentCriticalErrors = [];
   let crashTriggered = false;
 
-  function isCriticalError(errorType, message) {
+  // Framework phases where a failure means the screen can't render
+  const CRASH_FRAMEWORK_PHASES = ["render", "transition", "root_unmount"];
+
+  function isCriticalError(errorType, message, frameworkPhase) {
     // Check error type
     if (CRASH_ERROR_TYPES.includes(errorType)) {
       return true;
     }
 
+    // Render/route failures reported by Ember, React or Vue hooks
+    if (CRASH_FRAMEWORK_PHASES.includes(frameworkPhase)) {
+      return true;
+    }
+
     // Check message patterns
     for (const pattern of CRASH_ERROR_PATTERNS) {
       if (pattern.test(message)) {
@@ -306,7 +367,9 @@
   }
 
   function checkForErrorBasedCrash(entry) {
-    const isCritical = isCriticalError(entry.errorType, entry.message);
+    const isCritical =
+      entry.type === "resource_error" ||
+      isCriticalError(entry.errorType, entry.message, entry.frameworkPhase);
 
     if (isCritical) {
       recentCriticalErrors.push({
@@ -324,8 +387,13 @@
       // 1. We have a ReferenceError (usually component not found)
       // 2. We have multiple critical errors in quick succession
       // 3. We detect specific crash patterns
+      // 4. A code chunk failed to load (the route it belongs to never renders)
+      // 5. A route transition failed or React unmounted the whole tree
 
       const shouldTriggerCrash =
+        entry.isChunk ||
+        entry.frameworkPhase === "transition" ||
+        entry.frameworkPhase === "root_unmount" ||
         entry.errorType === "ReferenceError" ||
         entry.message?.includes("is not defined") ||
         entry.componentStack || // React error boundary
@@ -364,6 +432,12 @@
         lineno: primaryError.lineno,
         colno: primaryError.colno,
         componentStack: primaryError.componentStack,
+        framework: primaryError.framework,
+        componentName: primaryError.componentName,
+        routeName: primaryError.routeName,
+        renderPath: primaryError.renderPath,
+        resourceKind: primaryError.resourceKind,
+        initiator: primaryError.initiator,
       },
 
       // All recent critical errors
@@ -374,6 +448,10 @@
       recentPageErrors: localErrors.page.slice(-20),
       recentApiErrors: localErrors.api.slice(-30),
       recentApiRequests: localErrors.apiRequests.slice(-50),
+      realtimeConnections: getRealtimeSnapshot(),
+      performance: performanceSnapshot(),
+      networkWaterfall: networkWaterfall(),
+      breadcrumbs: recentBreadcrumbs(BREADCRUMBS_PER_CRASH),
 
       timestamp: new Date().toISOString(),
       url: location.href,
@@ -391,6 +469,12 @@
   // 1. CONSOLE.ERROR
   // =============================================
   console.error = function (...args) {
+    // Already reported with more context by a framework hook (section 14)
+    if (args.some((arg) => isFrameworkReported(arg))) {
+      _error.apply(console, args);
+      return;
+    }
+
     const errorInfos = args.map((arg) => extractErrorInfo(arg));
     const primaryError = errorInfos.find((e) => e.stack) || errorInfos[0] || {};
     const message = formatArgs(args);
@@ -413,6 +497,7 @@
       message,
       stack: primaryError.stack || getCurrentStack(),
       componentStack: primaryError.componentStack,
+      ...reactContext(primaryError.componentStack, message),
       timestamp: new Date().toISOString(),
       url: location.href,
     };
@@ -482,6 +567,16 @@
   window.addEventListener(
     "error",
     function (e) {
+      // Element load failures (<script>, <link>, <img>) only reach us in the
+      // capture phase and carry no message - report them separately
+      if (e.target && e.target !== window && e.target.tagName) {
+        captureResourceError(e.target);
+        return;
+      }
+
+      // Ember.onerror rethrows after reporting when the app had no handler
+      if (isFrameworkReported(e.error)) return;
+
       let errorInfo = { type: "Error", message: "", stack: "" };
 
       // Extract from error object
@@ -523,6 +618,7 @@
         colno: e.colno || errorInfo.columnNumber || 0,
         stack: errorInfo.stack || e.error?.stack || "",
         componentStack: errorInfo.componentStack,
+        ...reactContext(errorInfo.componentStack, ""),
         timestamp: new Date().toISOString(),
         url: location.href,
       };
@@ -531,7 +627,10 @@
       localErrors.page.push(entry);
       if (localErrors.page.length > 50) localErrors.page.shift();
 
-      sendToContentScript("page_error", entry);
+      sendToContentScript("page_error", {
+        ...entry,
+        breadcrumbs: recentBreadcrumbs(BREADCRUMBS_PER_ERROR),
+      });
 
       // Check if this should trigger a crash
       checkForErrorBasedCrash(entry);
@@ -550,9 +649,14 @@
   // 5. UNHANDLED PROMISE REJECTION
   // =============================================
   window.addEventListener("unhandledrejection", function (e) {
+    if (isFrameworkReported(e.reason)) return;
+
     const errorInfo = extractErrorInfo(e.reason);
     const message = errorInfo.message || "";
 
+    // Failed dynamic imports only surface as rejections
+    captureChunkFailureFromMessage(message);
+
     // Filter out noise
     if (shouldIgnoreError(message)) {
       return;
@@ -568,6 +672,7 @@
       message: message || "Promise rejected",
       stack: errorInfo.stack || "",
       componentStack: errorInfo.componentStack,
+      ...reactContext(errorInfo.componentStack, ""),
       reason:
         typeof e.reason === "object"
           ? JSON.stringify(e.reason, null, 2)?.slice(0, 2000)
@@ -579,7 +684,10 @@
     localErrors.page.push(entry);
     if (localErrors.page.length > 50) localErrors.page.shift();
 
-    sendToContentScript("promise_rejection", entry);
+    sendToContentScript("promise_rejection", {
+      ...entry,
+      breadcrumbs: recentBreadcrumbs(BREADCRUMBS_PER_ERROR),
+    });
 
     // Check if this should trigger a crash
     checkForErrorBasedCrash(entry);
@@ -587,6 +695,88 @@
     _log("🔴 L2 captured promise rejection:", entry.message);
   });
 
+  // =============================================
+  // REDACTION - Mask secrets/PII before anything leaves the main world
+  // =============================================
+  let redactionRules = null; // null = defaults from redaction.js until content.js pushes settings
+
+  // Bodies are captured whole so path rules see parseable JSON, and cut down
+  // only after redaction
+  const BODY_CAPTURE_LIMIT = 1000000;
+  const BODY_STORE_LIMIT = 10000;
+
+  function truncateBodies(entry) {
+    const out = { ...entry };
+    if (typeof out.requestBody === "string") {
+      out.requestBody = out.requestBody.slice(0, BODY_STORE_LIMIT);
+    }
+    if (typeof out.responseBody === "string") {
+      out.responseBody = out.responseBody.slice(0, BODY_STORE_LIMIT);
+    }
+    // Same cap the parsed details had when they came from a cut body
+    if (
+      out.errorDetails &&
+      (JSON.stringify(out.errorDetails) || "").length > BODY_STORE_LIMIT
+    ) {
+      out.errorDetails = null;
+    }
+    return out;
+  }
+
+  function stripPayloads(entry) {
+    return {
+      ...entry,
+      requestHeaders: {},
+      requestBody: null,
+      responseHeaders: {},
+      responseBody: "",
+      errorDetails: null,
+      error: entry.graphql ? "GraphQL error" : entry.error,
+      graphql: entry.graphql && {
+        ...entry.graphql,
+        operations: entry.graphql.operations.map((op) => ({
+          ...op,
+          variables: null,
+        })),
+        errors: undefined,
+      },
+      redaction: { applied: false, stripped: true },
+    };
+  }
+
+  function redactApiEntry(entry) {
+    const engine = _Redaction;
+
+    // Never forward raw headers/bodies if the engine failed to load
+    if (!engine) return stripPayloads(entry);
+
+    try {
+      return engine.redactEntry(entry, redactionRules);
+    } catch (e) {
+      _log("L2 Agent: Redaction failed", e.message);
+      return stripPayloads(entry);
+    }
+  }
+
+  // Config pushed from content.js (isolated world)
+  window.addEventListener("message", function (event) {
+    if (event.source !== window) return;
+    if (!event.data || event.data.source !== "L2_AGENT_CONTENT") return;
+
+    switch (event.data.action) {
+      case "updateSettings":
+        settings = event.data.settings;
+        redactionRules = settings.redaction || null;
+        softFailureRules = _SoftFailure
+          ? _SoftFailure.compileRules(settings.softFailureRules || null)
+          : [];
+        appRootSelectors = settings.appRootSelectors?.length
+          ? settings.appRootSelectors
+          : DEFAULT_APP_ROOT_SELECTORS;
+        break;
+    }
+  });
+
   // =============================================
   // API STORAGE HELPER - Sliding window around errors
   // =============================================
@@ -600,7 +790,168 @@
     return null;
   }
 
-  function storeApiRequest(entry) {
+  // =============================================
+  // GRAPHQL - Operation names, variables and errors[] in 200 responses
+  // =============================================
+  const GRAPHQL_TRACE_KEYS = [
+    "traceid",
+    "trace_id",
+    "requestid",
+    "request_id",
+    "correlationid",
+    "correlation_id",
+  ];
+
+  function parseJson(text) {
+    if (!text || typeof text !== "string") return undefined;
+    try {
+      return JSON.parse(text);
+    } catch {
+      return undefined;
+    }
+  }
+
+  function describeOperation(op) {
+    if (!op || typeof op !== "object") return null;
+
+    const query = typeof op.query === "string" ? op.query : "";
+    const persisted = Boolean(op.extensions?.persistedQuery);
+    if (!query && !persisted) return null;
+
+    // "query Foo(...)", "mutation Foo", "subscription Foo" or shorthand "{ ... }"
+    const match = query.match(/^\s*(query|mutation|subscription)\b\s*(\w+)?/);
+    return {
+      operationName: op.operationName || match?.[2] || "anonymous",
+      operationType: match?.[1] || "query",
+      variables: op.variables || null,
+      persisted,
+    };
+  }
+
+  function parseGraphQLRequest(entry) {
+    let payload = parseJson(entry.requestBody);
+
+    // GET requests carry the operation in the query string
+    if (!payload && /^get$/i.test(entry.method || "GET")) {
+      try {
+        const params = new URL(entry.url, location.href).searchParams;
+        if (params.has("query") || params.has("extensions")) {
+          payload = {
+            query: params.get("query") || "",
+            operationName: params.get("operationName"),
+            variables: parseJson(params.get("variables")),
+            extensions: parseJson(params.get("extensions")),
+          };
+        }
+      } catch {}
+    }
+
+    const ops = (Array.isArray(payload) ? payload : [payload])
+      .map(describeOperation)
+      .filter(Boolean);
+    if (ops.length === 0) return null;
+
+    return {
+      operationName: ops.map((op) => op.operationName).join(", "),
+      operationType: ops[0].operationType,
+      batched: Array.isArray(payload),
+      operations: ops,
+    };
+  }
+
+  function findTraceInExtensions(extensions, depth = 0) {
+    if (!extensions || typeof extensions !== "object" || depth > 1) return null;
+
+    for (const key of Object.keys(extensions)) {
+      const value = extensions[key];
+      if (
+        GRAPHQL_TRACE_KEYS.includes(key.toLowerCase()) &&
+        (typeof value === "string" || typeof value === "number")
+      ) {
+        return { header: `extensions.${key}`, value: String(value) };
+      }
+      const nested = findTraceInExtensions(value, depth + 1);
+      if (nested) return nested;
+    }
+    return null;
+  }
+
+  function annotateGraphQL(entry) {
+    const graphql = parseGraphQLRequest(entry);
+    if (!graphql) return entry;
+
+    const out = { ...entry, graphql };
+    const body = parseJson(entry.responseBody);
+    const results = Array.isArray(body) ? body : body ? [body] : [];
+
+    const errors = [];
+    let trace = null;
+    results.forEach((result) => {
+      (result?.errors || []).forEach((err) => {
+        errors.push({
+          message: err?.message,
+          path: err?.path,
+          code: err?.extensions?.code,
+        });
+        trace = trace || findTraceInExtensions(err?.extensions);
+      });
+      trace = trace || findTraceInExtensions(result?.extensions);
+    });
+
+    if (!out.traceId && trace) {
+      out.traceId = trace.value;
+      out.traceIdHeader = trace.header;
+    }
+
+    // Truncated responses can't be parsed - still notice the errors key
+    const truncatedWithErrors =
+      body === undefined &&
+      /"errors"\s*:\s*\[\s*\{/.test(entry.responseBody || "");
+
+    if (errors.length > 0 || truncatedWithErrors) {
+      graphql.errors = errors.slice(0, 10);
+      graphql.partial = results.some((r) => r?.data);
+      out.isError = true;
+      out.error = errors.length
+        ? `GraphQL: ${errors[0].message}`
+        : "GraphQL errors (response truncated)";
+      if (!out.errorDetails) out.errorDetails = body || null;
+    }
+
+    return out;
+  }
+
+  // =============================================
+  // SOFT FAILURES - 2xx responses whose body says the call failed
+  // =============================================
+  // Rules come from the options page; until content.js pushes them, defaults apply
+  let softFailureRules = _SoftFailure ? _SoftFailure.compileRules(null) : [];
+
+  function classifySoftFailure(entry) {
+    if (entry.isError || entry.status < 200 || entry.status >= 300) {
+      return entry;
+    }
+    if (!_SoftFailure || softFailureRules.length === 0) return entry;
+
+    const body = parseJson(entry.responseBody);
+    const match = _SoftFailure.matchResponse(entry.url, body, softFailureRules);
+    if (!match) return entry;
+
+    return {
+      ...entry,
+      isError: true,
+      softError: match,
+      error: `Soft failure: ${match.rule}`,
+      errorDetails: body,
+    };
+  }
+
+  function storeApiRequest(rawEntry) {
+    const entry = truncateBodies(
+      redactApiEntry(classifySoftFailure(annotateGraphQL(rawEntry)))
+    );
+    recordInterceptedRequest(entry);
+
     if (entry.isError) {
       // Error occurred - flush buffer to storage
       // Add all buffered requests (these are the "before" requests)
@@ -685,14 +1036,14 @@
     const _send = xhr.send.bind(xhr);
     xhr.send = function (body) {
       req.start = Date.now();
-      req.body = body ? String(body).slice(0, 10000) : null; // Increased from 2000 to 10000
+      req.body = body ? String(body).slice(0, BODY_CAPTURE_LIMIT) : null;
 
       xhr.addEventListener("loadend", function () {
         let responseBody = "";
         let responseHeaders = {};
 
         try {
-          responseBody = xhr.responseText?.slice(0, 10000) || ""; // Increased from 5000 to 10000
+          responseBody = xhr.responseText?.slice(0, BODY_CAPTURE_LIMIT) || "";
         } catch {}
 
         // Extract all response headers
@@ -798,7 +1149,7 @@
       if (init.body) {
         requestBody =
           typeof init.body === "string"
-            ? init.body.slice(0, 10000) // Increased from 2000
+            ? init.body.slice(0, BODY_CAPTURE_LIMIT)
             : "[Binary/FormData]";
       }
     } catch {}
@@ -825,7 +1176,7 @@
 
       try {
         const clone = response.clone();
-        responseBody = (await clone.text()).slice(0, 10000); // Increased from 5000
+        responseBody = (await clone.text()).slice(0, BODY_CAPTURE_LIMIT);
       } catch {}
 
       // Extract response headers
@@ -944,6 +1295,10 @@
           recentPageErrors: localErrors.page.slice(-20),
           recentApiErrors: localErrors.api.slice(-30),
           recentApiRequests: localErrors.apiRequests.slice(-50),
+          realtimeConnections: getRealtimeSnapshot(),
+          performance: performanceSnapshot(),
+          networkWaterfall: networkWaterfall(),
+          breadcrumbs: recentBreadcrumbs(BREADCRUMBS_PER_CRASH),
           timestamp: new Date().toISOString(),
           url: location.href,
           sessionDuration: Date.now() - START_TIME,
@@ -952,6 +1307,128 @@
     }
   }
 
+  // --- Blank screen: an app root that rendered nothing at all ---
+  const DEFAULT_APP_ROOT_SELECTORS = [
+    "#root",
+    "#app",
+    "#__next",
+    "#__nuxt",
+    ".ember-application",
+    "[ng-version]",
+  ];
+  const BLANK_SETTLE_MS = 4000; // Give the app time to render before judging
+  const BLANK_CONFIRM_MS = 2000; // ...and re-check so slow renders aren't reported
+  const BLANK_MAX_TEXT = 20;
+
+  let appRootSelectors = DEFAULT_APP_ROOT_SELECTORS;
+  let blankCheckTimer = null;
+  let lastBlankScreenPath = null;
+
+  function findAppRoot() {
+    for (const selector of appRootSelectors) {
+      try {
+        const el = document.querySelector(selector);
+        if (el) return { el, selector };
+      } catch {
+        // Invalid selector - the options page validates on save
+      }
+    }
+    return null;
+  }
+
+  function measureRender(el) {
+    const rect = el.getBoundingClientRect();
+    const descendants = el.getElementsByTagName("*");
+    let visibleElements = 0;
+    for (let i = 0; i < descendants.length && visibleElements < 10; i++) {
+      const r = descendants[i].getBoundingClientRect();
+      if (r.width > 0 && r.height > 0) visibleElements++;
+    }
+
+    return {
+      textLength: (el.innerText || "").trim().length,
+      visibleElements,
+      mediaElements: el.querySelectorAll(
+        "img, svg, canvas, video, iframe, object, embed"
+      ).length,
+      childCount: el.childElementCount,
+      width: Math.round(rect.width),
+      height: Math.round(rect.height),
+    };
+  }
+
+  // Near-empty: no readable text, no media and at most a wrapper or spinner
+  function looksBlank(render) {
+    return (
+      render.textLength < BLANK_MAX_TEXT &&
+      render.mediaElements === 0 &&
+      render.visibleElements < 3
+    );
+  }
+
+  function scheduleBlankScreenCheck(trigger) {
+    clearTimeout(blankCheckTimer);
+    blankCheckTimer = setTimeout(
+      () => checkForBlankScreen(trigger, false),
+      BLANK_SETTLE_MS
+    );
+  }
+
+  function checkForBlankScreen(trigger, confirming) {
+    const root = findAppRoot();
+    if (!root) return; // Unknown app shell - nothing to judge
+
+    const render = measureRender(root.el);
+    if (!looksBlank(render)) {
+      lastBlankScreenPath = null;
+      return;
+    }
+
+    if (!confirming) {
+      blankCheckTimer = setTimeout(
+        () => checkForBlankScreen(trigger, true),
+        BLANK_CONFIRM_MS
+      );
+      return;
+    }
+
+    // Error-based detection already reported this one, or we did
+    if (crashTriggered || lastBlankScreenPath === currentRoute.path) return;
+    lastBlankScreenPath = currentRoute.path;
+
+    _log("🔴 L2 blank screen suspected:", root.selector, render);
+
+    // Background confirms with a screenshot before recording a crash
+    sendToContentScript("blank_screen_suspected", {
+      type: "crash",
+      detected: true,
+      reason: "blank_screen",
+      detectionMethod: "dom_based",
+      trigger,
+      rootSelector: root.selector,
+      render,
+      text: "",
+      html: root.el.outerHTML?.slice(0, 1000) || "",
+      recentConsoleErrors: localErrors.console.slice(-30),
+      recentPageErrors: localErrors.page.slice(-20),
+      recentApiErrors: localErrors.api.slice(-30),
+      recentApiRequests: localErrors.apiRequests.slice(-50),
+      realtimeConnections: getRealtimeSnapshot(),
+      performance: performanceSnapshot(),
+      networkWaterfall: networkWaterfall(),
+      breadcrumbs: recentBreadcrumbs(BREADCRUMBS_PER_CRASH),
+      timestamp: new Date().toISOString(),
+      url: location.href,
+      sessionDuration: Date.now() - START_TIME,
+    });
+  }
+
+  if (document.readyState === "complete") {
+    scheduleBlankScreenCheck("load");
+  } else {
+    window.addEventListener("load", () => scheduleBlankScreenCheck("load"));
+  }
+
   function setupCrashMonitor() {
     if (!document.body) return;
 
@@ -972,6 +1449,1759 @@
     document.addEventListener("DOMContentLoaded", setupCrashMonitor);
   }
 
+  // =============================================
+  // 9. REALTIME CONNECTIONS (WebSocket / EventSource)
+  // =============================================
+  const FRAME_RING_SIZE = 20; // Recent frames kept per connection
+  const FRAME_PREVIEW_LENGTH = 300;
+  const RECONNECT_STORM_WINDOW = 30000; // 30 seconds
+  const RECONNECT_STORM_THRESHOLD = 5; // Connection attempts to the same endpoint
+
+  // Close codes that mean the socket went away normally
+  const NORMAL_CLOSE_CODES = [1000, 1001];
+
+  const realtimeConnections = new Map(); // id -> connection state
+  const connectAttempts = {}; // endpoint -> [timestamps]
+  const stormReportedAt = {}; // endpoint -> timestamp of last storm report
+  let realtimeSeq = 0;
+
+  function realtimeEndpoint(url) {
+    try {
+      const u = new URL(url, location.href);
+      return `${u.protocol}//${u.host}${u.pathname}`;
+    } catch {
+      return String(url).split("?")[0];
+    }
+  }
+
+  function describeFrameData(data) {
+    if (typeof data === "string") {
+      return {
+        size: data.length,
+        preview: data.slice(0, FRAME_PREVIEW_LENGTH),
+      };
+    }
+    const size = data?.byteLength ?? data?.size ?? 0;
+    return { size, preview: `[binary ${size} bytes]` };
+  }
+
+  function recordFrame(conn, direction, data, eventType) {
+    const { size, preview } = describeFrameData(data);
+    conn.frames.push({
+      direction,
+      eventType,
+      size,
+      preview,
+      timestamp: new Date().toISOString(),
+    });
+    if (conn.frames.length > FRAME_RING_SIZE) conn.frames.shift();
+    conn.frameCount[direction]++;
+  }
+
+  // Frames are redacted only when they leave the main world
+  function snapshotFrames(conn) {
+    return conn.frames.map((frame) => {
+      if (!_Redaction || frame.preview.startsWith("[binary")) return frame;
+      try {
+        return {
+          ...frame,
+          preview: _Redaction.redactBody(frame.preview, redactionRules, "frame")
+            .value,
+        };
+      } catch {
+        return { ...frame, preview: "[redaction failed]" };
+      }
+    });
+  }
+
+  function snapshotConnection(conn) {
+    return {
+      id: conn.id,
+      protocol: conn.protocol,
+      url: conn.url,
+      state: conn.state,
+      openedAt: conn.openedAt,
+      frameCount: { ...conn.frameCount },
+      recentFrames: snapshotFrames(conn),
+    };
+  }
+
+  function getRealtimeSnapshot() {
+    return [...realtimeConnections.values()].map(snapshotConnection);
+  }
+
+  function trackConnectAttempt(protocol, url) {
+    const endpoint = realtimeEndpoint(url);
+    const now = Date.now();
+
+    connectAttempts[endpoint] = (connectAttempts[endpoint] || []).filter(
+      (t) => now - t < RECONNECT_STORM_WINDOW
+    );
+    connectAttempts[endpoint].push(now);
+
+    const attempts = connectAttempts[endpoint].length;
+    const recentlyReported =
+      stormReportedAt[endpoint] &&
+      now - stormReportedAt[endpoint] < RECONNECT_STORM_WINDOW;
+
+    if (attempts >= RECONNECT_STORM_THRESHOLD && !recentlyReported) {
+      stormReportedAt[endpoint] = now;
+      storeApiRequest({
+        type: `${protocol}_reconnect_storm`,
+        method: protocol === "websocket" ? "WS" : "SSE",
+        url: endpoint,
+        status: 0,
+        statusText: "Reconnect storm",
+        error: `${attempts} connection attempts in ${
+          RECONNECT_STORM_WINDOW / 1000
+        }s`,
+        attempts,
+        duration: now - connectAttempts[endpoint][0],
+        isError: true,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  function createConnection(protocol, url) {
+    const conn = {
+      id: `${protocol}-${++realtimeSeq}`,
+      protocol,
+      url: String(url),
+      state: "connecting",
+      start: Date.now(),
+      openedAt: null,
+      hadError: false,
+      frames: [],
+      frameCount: { in: 0, out: 0 },
+    };
+    realtimeConnections.set(conn.id, conn);
+    trackConnectAttempt(protocol, url);
+    return conn;
+  }
+
+  function storeConnectionEvent(conn, details) {
+    storeApiRequest({
+      method: conn.protocol === "websocket" ? "WS" : "SSE",
+      url: conn.url,
+      status: 0,
+      connectionId: conn.id,
+      duration: Date.now() - conn.start,
+      frameCount: { ...conn.frameCount },
+      frames: snapshotFrames(conn),
+      timestamp: new Date().toISOString(),
+      ...details,
+    });
+  }
+
+  // ---- WebSocket ----
+  if (_WebSocket) {
+    window.WebSocket = class extends _WebSocket {
+      constructor(url, protocols) {
+        super(url, protocols);
+        const conn = createConnection("websocket", url);
+
+        this.addEventListener("open", () => {
+          conn.state = "open";
+          conn.openedAt = new Date().toISOString();
+          storeConnectionEvent(conn, {
+            type: "websocket_open",
+            statusText: "Connected",
+            subprotocol: this.protocol || null,
+            isError: false,
+          });
+        });
+
+        this.addEventListener("message", (e) => {
+          recordFrame(conn, "in", e.data, "message");
+        });
+
+        this.addEventListener("error", () => {
+          conn.hadError = true;
+        });
+
+        this.addEventListener("close", (e) => {
+          conn.state = "closed";
+          realtimeConnections.delete(conn.id);
+
+          const abnormal = !NORMAL_CLOSE_CODES.includes(e.code);
+          storeConnectionEvent(conn, {
+            type: "websocket_close",
+            statusText: `Closed ${e.code}${e.reason ? ` (${e.reason})` : ""}`,
+            closeCode: e.code,
+            closeReason: e.reason,
+            wasClean: e.wasClean,
+            neverOpened: !conn.openedAt,
+            error:
+              abnormal || conn.hadError
+                ? `WebSocket closed abnormally (code ${e.code})${
+                    conn.openedAt ? "" : " before opening"
+                  }`
+                : undefined,
+            isError: abnormal || conn.hadError,
+          });
+        });
+
+        const send = this.send;
+        this.send = (data) => {
+          recordFrame(conn, "out", data, "send");
+          return send.call(this, data);
+        };
+      }
+    };
+  }
+
+  // ---- EventSource (SSE) ----
+  if (_EventSource) {
+    window.EventSource = class extends _EventSource {
+      constructor(url, config) {
+        super(url, config);
+        const conn = createConnection("eventsource", url);
+        const observedTypes = new Set();
+
+        // Named SSE events are only visible once the page subscribes to them
+        this.__l2Observe = (type) => {
+          if (type === "open" || type === "error" || observedTypes.has(type)) {
+            return;
+          }
+          observedTypes.add(type);
+          super.addEventListener(type, (e) =>
+            recordFrame(conn, "in", e.data, type)
+          );
+        };
+        this.__l2Observe("message");
+
+        super.addEventListener("open", () => {
+          const reconnected = Boolean(conn.openedAt);
+          conn.state = "open";
+          conn.openedAt = new Date().toISOString();
+          storeConnectionEvent(conn, {
+            type: reconnected ? "eventsource_reconnect" : "eventsource_open",
+            statusText: reconnected ? "Reconnected" : "Connected",
+            isError: false,
+          });
+        });
+
+        super.addEventListener("error", () => {
+          // CONNECTING = browser will retry; CLOSED = gave up for good
+          const fatal = this.readyState === _EventSource.CLOSED;
+          conn.state = fatal ? "closed" : "reconnecting";
+          if (fatal) realtimeConnections.delete(conn.id);
+          else trackConnectAttempt("eventsource", url);
+
+          storeConnectionEvent(conn, {
+            type: fatal ? "eventsource_closed" : "eventsource_error",
+            statusText: fatal
+              ? "Connection failed"
+              : "Connection lost, retrying",
+            error: fatal
+              ? "EventSource connection failed permanently"
+              : "EventSource connection dropped",
+            neverOpened: !conn.openedAt,
+            isError: true,
+          });
+        });
+      }
+
+      addEventListener(type, listener, options) {
+        this.__l2Observe?.(type);
+        return super.addEventListener(type, listener, options);
+      }
+    };
+  }
+
+  // =============================================
+  // 10. USER-ACTION BREADCRUMBS
+  // =============================================
+  // What the user did before an error - never records typed values
+  const BREADCRUMB_LIMIT = 50;
+  const BREADCRUMBS_PER_ERROR = 15;
+  const BREADCRUMBS_PER_CRASH = 30;
+  const breadcrumbs = [];
+
+  // ids/classes that change between renders (ember123, css-1x2y3z, hashes)
+  const DYNAMIC_TOKEN =
+    /^ember\d+$|^css-|^sc-|\d{4,}|[a-f0-9]{8,}|__[a-z0-9]{5,}$/i;
+  const TEST_ID_ATTRIBUTES = [
+    "data-testid",
+    "data-test-id",
+    "data-test",
+    "data-qa",
+    "data-cy",
+  ];
+  const NAMED_KEYS = [
+    "Enter",
+    "Escape",
+    "Tab",
+    "Backspace",
+    "Delete",
+    "ArrowUp",
+    "ArrowDown",
+    "ArrowLeft",
+    "ArrowRight",
+    "PageUp",
+    "PageDown",
+    "Home",
+    "End",
+  ];
+
+  function addBreadcrumb(crumb) {
+    breadcrumbs.push({
+      ...crumb,
+      timestamp: new Date().toISOString(),
+      url: location.href,
+    });
+    if (breadcrumbs.length > BREADCRUMB_LIMIT) breadcrumbs.shift();
+  }
+
+  // Labels and URLs can carry user data, so crumbs are redacted on their way
+  // out of the main world with the same rules as WebSocket frames
+  function recentBreadcrumbs(count) {
+    return breadcrumbs.slice(-count).map(redactBreadcrumb);
+  }
+
+  function redactBreadcrumb(crumb) {
+    try {
+      if (!_Redaction) throw new Error("Redaction engine not loaded");
+      return {
+        ...crumb,
+        text: redactCrumbText(crumb.text),
+        detail:
+          crumb.type === "navigation"
+            ? redactCrumbPath(crumb.detail)
+            : redactCrumbText(crumb.detail),
+        url: redactCrumbUrl(crumb.url),
+      };
+    } catch {
+      // Fail closed like API entries: no labels, no query strings
+      const { text, detail, ...rest } = crumb;
+      return {
+        ...rest,
+        url: stripQuery(crumb.url),
+        redaction: { applied: false, stripped: true },
+      };
+    }
+  }
+
+  function redactCrumbText(value) {
+    if (typeof value !== "string") return value;
+    return _Redaction.redactBody(value, redactionRules, "breadcrumb").value;
+  }
+
+  // Query and fragment parameters also get the key rules ("?token=...")
+  function redactCrumbUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return redactCrumbText(url);
+    }
+    const redactParams = (text) =>
+      [...new URLSearchParams(text)]
+        .map(([key, value]) => {
+          const masked = _Redaction.redactBody(
+            { [key]: value },
+            redactionRules,
+            "breadcrumb"
+          ).value[key];
+          return `${encodeURIComponent(key)}=${
+            masked === value ? encodeURIComponent(value) : masked
+          }`;
+        })
+        .join("&");
+
+    const query = parsed.search ? `?${redactParams(parsed.search)}` : "";
+    // "#a=1&b=2", or a hash route with its own query ("#/reset?token=...")
+    const hashQuery = parsed.hash.indexOf("?");
+    let hash = parsed.hash;
+    if (hashQuery !== -1) {
+      hash = `${hash.slice(0, hashQuery)}?${redactParams(
+        hash.slice(hashQuery + 1)
+      )}`;
+    } else if (hash.includes("=")) {
+      hash = `#${redactParams(hash.slice(1))}`;
+    }
+    return redactCrumbText(`${parsed.origin}${parsed.pathname}${query}${hash}`);
+  }
+
+  // Navigation details are paths, hash routes included ("/app#/reset?token=...")
+  function redactCrumbPath(path) {
+    if (typeof path !== "string") return path;
+    const url = redactCrumbUrl(new URL(path, location.origin).href);
+    return url.startsWith(location.origin)
+      ? url.slice(location.origin.length)
+      : redactCrumbText(path);
+  }
+
+  function stripQuery(url) {
+    return String(url || "").split(/[?#]/)[0];
+  }
+
+  function cssEscape(value) {
+    return window.CSS?.escape ? CSS.escape(value) : value;
+  }
+
+  // Short selector that survives re-renders: test ids > stable ids > tag.class chain
+  function stableSelector(el) {
+    const parts = [];
+    let node = el;
+
+    while (node && node.nodeType === 1 && parts.length < 4) {
+      const testAttr = TEST_ID_ATTRIBUTES.find((a) => node.getAttribute(a));
+      if (testAttr) {
+        parts.unshift(`[${testAttr}="${node.getAttribute(testAttr)}"]`);
+        break;
+      }
+      if (node.id && !DYNAMIC_TOKEN.test(node.id)) {
+        parts.unshift(`#${cssEscape(node.id)}`);
+        break;
+      }
+
+      let part = node.tagName.toLowerCase();
+      const name = node.getAttribute("name");
+      if (name) {
+        part += `[name="${name}"]`;
+      } else {
+        const classes = [...node.classList]
+          .filter((c) => !DYNAMIC_TOKEN.test(c))
+          .slice(0, 2);
+        if (classes.length) part += `.${classes.map(cssEscape).join(".")}`;
+      }
+
+      const parent = node.parentElement;
+      if (parent) {
+        const sameTag = [...parent.children].filter(
+          (c) => c.tagName === node.tagName
+        );
+        if (sameTag.length > 1) {
+          part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+        }
+      }
+
+      parts.unshift(part);
+      node = parent;
+    }
+
+    return parts.join(" > ");
+  }
+
+  // Visible label for buttons/links only - never input contents
+  function elementLabel(el) {
+    const clickable = el.closest?.("button, a, [role='button'], [role='tab']");
+    if (!clickable) return undefined;
+    const label =
+      clickable.getAttribute("aria-label") ||
+      clickable.innerText ||
+      clickable.title ||
+      "";
+    return label.trim().replace(/\s+/g, " ").slice(0, 60) || undefined;
+  }
+
+  document.addEventListener(
+    "click",
+    function (e) {
+      if (!e.isTrusted || !(e.target instanceof Element)) return;
+      addBreadcrumb({
+        type: "click",
+        target: stableSelector(e.target),
+        text: elementLabel(e.target),
+      });
+    },
+    true
+  );
+
+  document.addEventListener(
+    "submit",
+    function (e) {
+      const form = e.target;
+      if (!(form instanceof HTMLFormElement)) return;
+      addBreadcrumb({
+        type: "submit",
+        target: stableSelector(form),
+        detail: `${(form.method || "get").toUpperCase()} ${
+          form.getAttribute("action") || location.pathname
+        } (${form.elements.length} fields)`,
+      });
+    },
+    true
+  );
+
+  document.addEventListener(
+    "keydown",
+    function (e) {
+      if (!e.isTrusted || !(e.target instanceof Element)) return;
+
+      const target = stableSelector(e.target);
+      // Alt alone can produce characters on some layouts, so it doesn't count
+      const hasModifier = e.ctrlKey || e.metaKey;
+
+      if (NAMED_KEYS.includes(e.key) || hasModifier) {
+        const combo = [
+          e.ctrlKey && "Ctrl",
+          e.metaKey && "Meta",
+          e.altKey && "Alt",
+          e.shiftKey && "Shift",
+          // Letters in shortcuts are fine (Ctrl+S); plain typing never reaches here
+          e.key,
+        ].filter(Boolean);
+        addBreadcrumb({ type: "keypress", target, key: combo.join("+") });
+        return;
+      }
+
+      // Plain typing: one crumb per field, counting keystrokes only
+      const last = breadcrumbs[breadcrumbs.length - 1];
+      if (last && last.type === "typing" && last.target === target) {
+        last.count++;
+        last.timestamp = new Date().toISOString();
+      } else {
+        addBreadcrumb({ type: "typing", target, count: 1 });
+      }
+    },
+    true
+  );
+
+  document.addEventListener(
+    "focusin",
+    function (e) {
+      if (!(e.target instanceof Element)) return;
+      addBreadcrumb({
+        type: "focus",
+        target: stableSelector(e.target),
+        detail: e.target.type
+          ? `${e.target.tagName.toLowerCase()}[type=${e.target.type}]`
+          : undefined,
+      });
+    },
+    true
+  );
+
+  document.addEventListener("visibilitychange", function () {
+    addBreadcrumb({ type: "visibility", detail: document.visibilityState });
+  });
+
+  // =============================================
+  // 11. SPA ROUTE TRACKING
+  // =============================================
+  // Client-side navigations never reload the page, so follow the history API
+  function handleRouteChange(trigger) {
+    const next = describeRoute(location.href);
+
+    // Query-string-only updates (filters, sorting) stay on the same screen
+    if (next.path === currentRoute.path) {
+      currentRoute.url = next.url;
+      return;
+    }
+
+    const previous = currentRoute;
+    currentRoute = next;
+
+    addBreadcrumb({ type: "navigation", trigger, detail: next.path });
+
+    sendToContentScript("route_change", {
+      type: "route_change",
+      trigger,
+      from: previous.url,
+      fromRoute: previous.route,
+      to: next.url,
+      route: next.route,
+      path: next.path,
+      timeOnPreviousRoute: Date.now() - previous.enteredAt,
+      timestamp: new Date().toISOString(),
+    });
+
+    scheduleBlankScreenCheck("route_change");
+  }
+
+  ["pushState", "replaceState"].forEach((method) => {
+    const original = history[method];
+    history[method] = function () {
+      const result = original.apply(this, arguments);
+      handleRouteChange(method);
+      return result;
+    };
+  });
+
+  window.addEventListener("popstate", () => handleRouteChange("popstate"));
+  window.addEventListener("hashchange", () => handleRouteChange("hashchange"));
+
+  // =============================================
+  // 12. RESOURCE LOAD FAILURES (scripts, styles, images, chunks)
+  // =============================================
+  const RESOURCE_DEDUPE_MS = 5000;
+  const recentResourceFailures = new Map(); // url -> last reported at
+
+  // Chunk loaders report failures as errors, not element events:
+  // webpack: "Loading chunk 12 failed.\n(error: https://host/12.js)"
+  // import(): "Failed to fetch dynamically imported module: https://host/x.js"
+  const CHUNK_FAILURE_PATTERNS = [
+    {
+      initiator: "webpack",
+      regex:
+        /Loading (?:CSS )?chunk [\w-]+ failed[\s\S]*?\((?:error: |missing: )?([^)\s]+)\)/,
+    },
+    {
+      initiator: "import",
+      regex: /Failed to fetch dynamically imported module:?\s*(\S+)/,
+    },
+    {
+      initiator: "import",
+      regex: /error loading dynamically imported module:?\s*(\S+)/, // Firefox
+    },
+    { initiator: "import", regex: /Importing a module script failed/ }, // Safari, no URL
+  ];
+
+  function describeFailedElement(el) {
+    const tag = el.tagName.toLowerCase();
+
+    if (tag === "script") return { tag, kind: "script", url: el.src };
+    if (tag === "img")
+      return { tag, kind: "image", url: el.currentSrc || el.src };
+    if (tag === "link") {
+      const rel = (el.rel || "").toLowerCase();
+      if (rel.includes("stylesheet")) {
+        return { tag, kind: "stylesheet", url: el.href };
+      }
+      if (
+        rel.includes("modulepreload") ||
+        (rel === "preload" && el.as === "script")
+      ) {
+        return { tag, kind: "script", url: el.href };
+      }
+    }
+    return null; // <video>, <iframe>, prefetch hints etc. aren't worth reporting
+  }
+
+  // Who asked for the resource: a bundler's chunk loader, app code that
+  // inserted the element, or the HTML parser
+  function resourceInitiator(el, tag) {
+    if (el.hasAttribute("data-webpack")) return "webpack";
+    if (tag === "link" && /modulepreload/i.test(el.rel)) return "modulepreload";
+    if (tag === "script") {
+      // Script-inserted <script>s are async unless the inserter opted out;
+      // parser-inserted ones never are without the attribute
+      return el.async && !el.hasAttribute("async") ? "script" : "parser";
+    }
+    return document.readyState === "loading" ? "parser" : "script";
+  }
+
+  function isSameOrigin(url) {
+    try {
+      return new URL(url, location.href).origin === location.origin;
+    } catch {
+      return false;
+    }
+  }
+
+  function captureResourceError(el) {
+    const resource = describeFailedElement(el);
+    if (!resource || !resource.url) return;
+
+    const initiator = resourceInitiator(el, resource.tag);
+    reportResourceFailure({
+      ...resource,
+      initiator,
+      selector: stableSelector(el),
+      isChunk:
+        resource.kind === "script" &&
+        (initiator === "webpack" ||
+          initiator === "modulepreload" ||
+          /[.\-/]chunks?[.\-/]/i.test(resource.url)),
+    });
+  }
+
+  function captureChunkFailureFromMessage(message) {
+    if (!message) return;
+
+    for (const { initiator, regex } of CHUNK_FAILURE_PATTERNS) {
+      const match = message.match(regex);
+      if (match) {
+        const url = match[1] || "";
+        const isCss = /\.css(?:[?#]|$)/i.test(url);
+        reportResourceFailure({
+          tag: isCss ? "link" : "script",
+          kind: isCss ? "stylesheet" : "script",
+          url,
+          initiator,
+          selector: null,
+          isChunk: true,
+          message: message.split("\n")[0],
+        });
+        return;
+      }
+    }
+  }
+
+  function reportResourceFailure(resource) {
+    // webpack reports the same chunk twice: element error, then ChunkLoadError
+    const key = resource.url || resource.message;
+    const lastReported = recentResourceFailures.get(key);
+    if (lastReported && Date.now() - lastReported < RESOURCE_DEDUPE_MS) return;
+    recentResourceFailures.set(key, Date.now());
+    if (recentResourceFailures.size > 100) {
+      recentResourceFailures.delete(recentResourceFailures.keys().next().value);
+    }
+
+    const sameOrigin = isSameOrigin(resource.url);
+    const message =
+      resource.message ||
+      `Failed to load ${resource.kind}${resource.isChunk ? " chunk" : ""}: ${
+        resource.url
+      }`;
+
+    const entry = {
+      type: "resource_error",
+      errorType: resource.isChunk ? "ChunkLoadError" : "ResourceLoadError",
+      message,
+      error: message,
+      method: "GET",
+      url: resource.url,
+      filename: resource.url,
+      status: 0,
+      statusText: resource.isChunk
+        ? "Chunk load failed"
+        : `Failed to load ${resource.kind}`,
+      tag: resource.tag,
+      resourceKind: resource.kind,
+      initiator: resource.initiator,
+      selector: resource.selector,
+      isChunk: resource.isChunk,
+      sameOrigin,
+      isError: true,
+      timestamp: new Date().toISOString(),
+    };
+
+    localErrors.api.push(entry);
+    if (localErrors.api.length > 100) localErrors.api.shift();
+
+    sendToContentScript("resource_error", {
+      ...entry,
+      breadcrumbs: recentBreadcrumbs(BREADCRUMBS_PER_ERROR),
+    });
+
+    // Missing chunks and first-party scripts leave the app half-rendered;
+    // broken images and third-party tags (ad blockers) don't
+    if (entry.isChunk || (resource.kind === "script" && sameOrigin)) {
+      checkForErrorBasedCrash(entry);
+    }
+
+    _log("🔴 L2 captured resource failure:", resource.tag, resource.url);
+  }
+
+  // =============================================
+  // 13. MAIN-THREAD HANG DETECTION (frozen UI)
+  // =============================================
+  // A blocked main thread can't report while it's blocked: the heartbeat
+  // notices the gap as soon as it runs again, and Long Tasks / Long Animation
+  // Frames say what was running. Background decides what counts as a crash.
+  const HEARTBEAT_INTERVAL_MS = 1000;
+  const FREEZE_MIN_MS = 1000;
+  const FREEZE_MAX_MS = 5 * 60 * 1000; // Longer gaps are sleep/suspend, not hangs
+  const LONG_TASK_BUFFER = 50;
+
+  const recentLongTasks = [];
+  const performanceObservers = [];
+  let lastHeartbeat = performance.now();
+  let hiddenSinceHeartbeat = document.hidden;
+
+  function observePerformance(type, handler, options = {}) {
+    try {
+      if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return;
+      const observer = new PerformanceObserver((list) =>
+        list.getEntries().forEach(handler)
+      );
+      observer.observe({ type, buffered: true, ...options });
+      performanceObservers.push({ observer, handler });
+    } catch {
+      // Not supported in this browser
+    }
+  }
+
+  function pushLongTask(task) {
+    recentLongTasks.push(task);
+    if (recentLongTasks.length > LONG_TASK_BUFFER) recentLongTasks.shift();
+  }
+
+  observePerformance("longtask", (entry) => {
+    pushLongTask({
+      source: "longtask",
+      startTime: Math.round(entry.startTime),
+      duration: Math.round(entry.duration),
+      attribution: (entry.attribution || []).map((a) => ({
+        name: a.name,
+        containerType: a.containerType,
+        containerSrc: a.containerSrc,
+        containerId: a.containerId,
+        containerName: a.containerName,
+      })),
+    });
+  });
+
+  // Chrome 123+: unlike longtask, names the scripts that ran
+  observePerformance("long-animation-frame", (entry) => {
+    pushLongTask({
+      source: "long-animation-frame",
+      startTime: Math.round(entry.startTime),
+      duration: Math.round(entry.duration),
+      blockingDuration: Math.round(entry.blockingDuration || 0),
+      scripts: (entry.scripts || []).slice(0, 5).map((script) => ({
+        invoker: script.invoker,
+        invokerType: script.invokerType,
+        sourceURL: script.sourceURL,
+        sourceFunctionName: script.sourceFunctionName,
+        sourceCharPosition: script.sourceCharPosition,
+        duration: Math.round(script.duration),
+      })),
+    });
+  });
+
+  function reportFreeze(blockStart, duration) {
+    // Entries for the task that just ended may not be delivered yet
+    performanceObservers.forEach(({ observer, handler }) => {
+      observer.takeRecords().forEach(handler);
+    });
+
+    const blockEnd = blockStart + duration;
+    const longTasks = recentLongTasks.filter(
+      (t) => t.startTime + t.duration >= blockStart && t.startTime <= blockEnd
+    );
+    const trail = recentBreadcrumbs(BREADCRUMBS_PER_ERROR);
+
+    const entry = {
+      type: "ui_freeze",
+      duration: Math.round(duration),
+      startedAt: new Date(
+        Date.now() - (performance.now() - blockStart)
+      ).toISOString(),
+      longTasks: longTasks.slice(-10),
+      lastBreadcrumb: trail[trail.length - 1] || null,
+      breadcrumbs: trail,
+      performance: performanceSnapshot(),
+      timestamp: new Date().toISOString(),
+      url: location.href,
+    };
+
+    sendToContentScript("ui_freeze", entry);
+    _log("🔴 L2 captured UI freeze:", `${entry.duration}ms`, longTasks);
+  }
+
+  setInterval(() => {
+    const now = performance.now();
+    const blockedFor = now - lastHeartbeat - HEARTBEAT_INTERVAL_MS;
+    const blockStart = lastHeartbeat + HEARTBEAT_INTERVAL_MS;
+    lastHeartbeat = now;
+
+    // Hidden tabs throttle timers - a late tick there isn't a freeze
+    if (hiddenSinceHeartbeat) {
+      hiddenSinceHeartbeat = document.hidden;
+      return;
+    }
+
+    if (blockedFor >= FREEZE_MIN_MS && blockedFor < FREEZE_MAX_MS) {
+      reportFreeze(blockStart, blockedFor);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) hiddenSinceHeartbeat = true;
+  });
+
+  // =============================================
+  // 14. FRAMEWORK ERROR HOOKS (Ember, React, Vue)
+  // =============================================
+  // Frameworks load after us, so hooks are (re)installed on a few passes.
+  // Each entry records the framework, the component/route name and the
+  // render path (root first) so crash decisions can tell render failures
+  // from background noise.
+  const MAX_RENDER_PATH = 15;
+  const frameworkReported = new WeakSet();
+
+  function isFrameworkReported(value) {
+    return (
+      value !== null &&
+      typeof value === "object" &&
+      frameworkReported.has(value)
+    );
+  }
+
+  function reportFrameworkError(error, context) {
+    if (isFrameworkReported(error)) return;
+    if (error !== null && typeof error === "object")
+      frameworkReported.add(error);
+
+    const info = extractErrorInfo(error);
+    const message = info.message || "Framework error";
+    if (shouldIgnoreError(message)) return;
+
+    const entry = {
+      type: "framework_error",
+      errorType: info.type || "Error",
+      message,
+      stack: info.stack || "",
+      componentStack: info.componentStack,
+      framework: context.framework,
+      frameworkPhase: context.phase || "unknown",
+      frameworkInfo: context.info || null,
+      componentName: context.componentName || null,
+      routeName: context.routeName || null,
+      renderPath: context.renderPath || null,
+      timestamp: new Date().toISOString(),
+      url: location.href,
+    };
+
+    localErrors.page.push(entry);
+    if (localErrors.page.length > 50) localErrors.page.shift();
+
+    sendToContentScript("page_error", {
+      ...entry,
+      breadcrumbs: recentBreadcrumbs(BREADCRUMBS_PER_ERROR),
+    });
+
+    checkForErrorBasedCrash(entry);
+
+    _log(
+      `🔴 L2 captured ${entry.framework} error:`,
+      entry.message,
+      entry.renderPath || entry.routeName || ""
+    );
+  }
+
+  // --- React: component stacks + DevTools global hook ---
+  // "in Foo (at ...)" (React <= 17) or "at Foo (url:1:2)" (React 18+), leaf first
+  function reactContext(componentStack, message) {
+    const source =
+      componentStack ||
+      (/The above error occurred in the </.test(message || "") ? message : "");
+    if (!source) return {};
+
+    const names = [];
+    source.split("\n").forEach((line) => {
+      const match = line.match(/^\s*(?:in|at) ([A-Za-z_$][\w$.]*)/);
+      if (match && names.length < MAX_RENDER_PATH) names.push(match[1]);
+    });
+    if (names.length === 0) return {};
+
+    return {
+      framework: "react",
+      frameworkPhase: "render",
+      componentName: names[0],
+      renderPath: names.reverse().join(" > "),
+    };
+  }
+
+  function hookReactDevTools() {
+    let hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+
+    if (!hook) {
+      // No React DevTools: React only reports commits to a hook that exists
+      // before it loads, so provide a minimal one (DevTools, when installed,
+      // injects its own hook earlier than us)
+      hook = {
+        renderers: new Map(),
+        supportsFiber: true,
+        inject(renderer) {
+          const id = this.renderers.size + 1;
+          this.renderers.set(id, renderer);
+          return id;
+        },
+        checkDCE() {},
+        onCommitFiberRoot() {},
+        onCommitFiberUnmount() {},
+        onPostCommitFiberRoot() {},
+      };
+      try {
+        Object.defineProperty(window, "__REACT_DEVTOOLS_GLOBAL_HOOK__", {
+          value: hook,
+          configurable: true,
+          writable: true,
+        });
+      } catch {
+        return;
+      }
+    }
+
+    if (hook.onCommitFiberRoot?.__l2Agent) return;
+
+    const original = hook.onCommitFiberRoot;
+    const wrapped = function (rendererId, root, priority, didError) {
+      // didError: an uncaught render error reached the root and React
+      // unmounted the whole tree - nothing is on screen any more
+      if (didError) {
+        try {
+          reportFrameworkError(
+            {
+              name: "ReactRootError",
+              message: "Uncaught render error unmounted the React tree",
+              stack: "",
+            },
+            {
+              framework: "react",
+              phase: "root_unmount",
+              componentName: root?.containerInfo?.id || null,
+            }
+          );
+        } catch {}
+      }
+      return original?.apply(this, arguments);
+    };
+    wrapped.__l2Agent = true;
+    hook.onCommitFiberRoot = wrapped;
+  }
+
+  // --- Ember: Ember.onerror, RSVP and router transitions ---
+  function findEmber() {
+    if (window.Ember?.VERSION) return window.Ember;
+    try {
+      return window.requireModule?.("ember")?.default || null;
+    } catch {
+      return null;
+    }
+  }
+
+  function findEmberRouter(Ember) {
+    try {
+      const app = Ember.Namespace?.NAMESPACES?.find(
+        (ns) => ns instanceof Ember.Application
+      );
+      const instance = app?._applicationInstances
+        ? [...app._applicationInstances][0]
+        : null;
+      return instance?.lookup("service:router") || null;
+    } catch {
+      return null;
+    }
+  }
+
+  // "tickets.show" -> "application > tickets > tickets.show"
+  function emberRouteContext(routeName) {
+    if (!routeName) return {};
+    const parts = routeName.split(".");
+    const chain = parts.map((_, i) => parts.slice(0, i + 1).join("."));
+    return {
+      routeName,
+      renderPath: ["application", ...chain.filter((r) => r !== "application")]
+        .slice(0, MAX_RENDER_PATH)
+        .join(" > "),
+    };
+  }
+
+  let emberRouter = null;
+
+  function hookEmber() {
+    const Ember = findEmber();
+    if (!Ember) return;
+
+    if (!Ember.onerror?.__l2Agent) {
+      const previous = Ember.onerror;
+      const onerror = function (error) {
+        reportFrameworkError(error, {
+          framework: "ember",
+          phase: "runloop",
+          ...emberRouteContext(emberRouter?.currentRouteName),
+        });
+        if (previous) return previous.apply(this, arguments);
+        throw error; // Without a handler Ember rethrows - keep that behaviour
+      };
+      onerror.__l2Agent = true;
+      Ember.onerror = onerror;
+    }
+
+    if (Ember.RSVP && !Ember.RSVP.__l2Agent) {
+      Ember.RSVP.__l2Agent = true;
+      Ember.RSVP.on("error", (reason) => {
+        // Aborted/redirected transitions reject on purpose
+        if (reason?.name === "TransitionAborted") return;
+        reportFrameworkError(reason, {
+          framework: "ember",
+          phase: "promise",
+          ...emberRouteContext(emberRouter?.currentRouteName),
+        });
+      });
+    }
+
+    const router = findEmberRouter(Ember);
+    if (router && router !== emberRouter && router.on) {
+      emberRouter = router;
+      router.on("routeWillChange", (transition) => {
+        transition?.promise?.catch?.((error) => {
+          if (!error || error.name === "TransitionAborted") return;
+          reportFrameworkError(error, {
+            framework: "ember",
+            phase: "transition",
+            info: `${transition.from?.name || "(initial)"} -> ${
+              transition.to?.name
+            }`,
+            ...emberRouteContext(transition.to?.name),
+          });
+        });
+      });
+    }
+  }
+
+  // --- Vue: app.config.errorHandler (Vue 3) / Vue.config.errorHandler (Vue 2) ---
+  function vuePhase(info) {
+    const text = String(info || "");
+    if (/render|setup/i.test(text)) return "render";
+    if (/v-on|handler/i.test(text)) return "event";
+    if (/hook|watcher|nextTick/i.test(text)) return "lifecycle";
+    return "unknown";
+  }
+
+  function vueComponentContext(vm) {
+    if (!vm) return {};
+
+    const nameOf = (instance) =>
+      instance.$options?.name ||
+      instance.$options?.__name ||
+      instance.$options?._componentTag ||
+      "Anonymous";
+
+    const names = [];
+    let current = vm;
+    while (current && names.length < MAX_RENDER_PATH) {
+      names.push(nameOf(current));
+      current = current.$parent;
+    }
+
+    return {
+      componentName: names[0],
+      renderPath: names.reverse().join(" > "),
+      routeName: vm.$route?.name || vm.$route?.path || null,
+    };
+  }
+
+  function hookVueConfig(config) {
+    if (!config || config.errorHandler?.__l2Agent) return;
+
+    const previous = config.errorHandler;
+    const errorHandler = function (error, vm, info) {
+      reportFrameworkError(error, {
+        framework: "vue",
+        phase: vuePhase(info),
+        info: String(info || ""),
+        ...vueComponentContext(vm),
+      });
+      if (previous) return previous.apply(this, arguments);
+      _error(error); // Vue logs unhandled component errors itself without a handler
+    };
+    errorHandler.__l2Agent = true;
+    config.errorHandler = errorHandler;
+  }
+
+  function hookVue() {
+    // Vue 3 marks mount containers with data-v-app
+    document.querySelectorAll("[data-v-app]").forEach((el) => {
+      hookVueConfig(el.__vue_app__?.config);
+    });
+
+    // Vue 2: global build, or the root instance's constructor
+    let Vue2 = window.Vue?.config ? window.Vue : null;
+    if (!Vue2 && document.body) {
+      const root = [...document.body.children].find((el) => el.__vue__);
+      let ctor = root?.__vue__.$root.constructor;
+      while (ctor?.super) ctor = ctor.super;
+      Vue2 = ctor?.config ? ctor : null;
+    }
+    if (Vue2) hookVueConfig(Vue2.config);
+  }
+
+  function installFrameworkHooks() {
+    [hookEmber, hookVue].forEach((install) => {
+      try {
+        install();
+      } catch (e) {
+        _log("L2 Agent: framework hook failed", e.message);
+      }
+    });
+  }
+
+  // React must be hooked before it loads; Ember and Vue once they exist
+  try {
+    hookReactDevTools();
+  } catch {}
+  document.addEventListener("DOMContentLoaded", installFrameworkHooks);
+  window.addEventListener("load", installFrameworkHooks);
+  [2000, 5000, 10000].forEach((delay) =>
+    setTimeout(installFrameworkHooks, delay)
+  );
+
+  // =============================================
+  // 15. WORKER ERRORS (dedicated, shared and service workers)
+  // =============================================
+  // Worker errors never reach window.error/unhandledrejection. Errors thrown
+  // inside a service worker itself stay invisible to the page - we see its
+  // registration, install/update failures and controller changes.
+  function reportWorkerError(workerType, scriptUrl, details) {
+    const entry = {
+      type: "worker_error",
+      workerType,
+      scriptUrl: scriptUrl ? String(scriptUrl) : null,
+      event: details.event,
+      level: details.level || "error",
+      errorType: details.errorType || "WorkerError",
+      message: details.message || "Worker error",
+      filename: details.filename || "",
+      lineno: details.lineno || 0,
+      colno: details.colno || 0,
+      stack: details.stack || "",
+      timestamp: new Date().toISOString(),
+      url: location.href,
+    };
+
+    sendToContentScript("worker_error", {
+      ...entry,
+      breadcrumbs: recentBreadcrumbs(BREADCRUMBS_PER_ERROR),
+    });
+    _log(`🔴 L2 captured ${workerType} worker ${entry.event}:`, entry.message);
+  }
+
+  function workerErrorDetails(e, fallback) {
+    // A bare Event (no message) means the script failed to load
+    if (!e.message) {
+      return {
+        event: "load_failed",
+        errorType: "WorkerLoadError",
+        message: fallback,
+      };
+    }
+    return {
+      event: "error",
+      errorType: e.error?.name || "WorkerError",
+      message: e.message,
+      filename: e.filename,
+      lineno: e.lineno,
+      colno: e.colno,
+      stack: e.error?.stack,
+    };
+  }
+
+  if (_Worker) {
+    window.Worker = class extends _Worker {
+      constructor(scriptURL, options) {
+        super(scriptURL, options);
+        const url = String(scriptURL);
+
+        this.addEventListener("error", (e) =>
+          reportWorkerError(
+            "dedicated",
+            url,
+            workerErrorDetails(e, `Worker script failed to load: ${url}`)
+          )
+        );
+        this.addEventListener("messageerror", () =>
+          reportWorkerError("dedicated", url, {
+            event: "messageerror",
+            errorType: "MessageError",
+            message: "Message from worker could not be deserialized",
+          })
+        );
+      }
+    };
+  }
+
+  if (_SharedWorker) {
+    window.SharedWorker = class extends _SharedWorker {
+      constructor(scriptURL, options) {
+        super(scriptURL, options);
+        const url = String(scriptURL);
+
+        // Shared worker runtime errors stay inside the worker; only load
+        // failures and undeserializable messages reach the page
+        this.addEventListener("error", (e) =>
+          reportWorkerError(
+            "shared",
+            url,
+            workerErrorDetails(e, `SharedWorker script failed to load: ${url}`)
+          )
+        );
+        this.port.addEventListener("messageerror", () =>
+          reportWorkerError("shared", url, {
+            event: "messageerror",
+            errorType: "MessageError",
+            message: "Message from shared worker could not be deserialized",
+          })
+        );
+      }
+    };
+  }
+
+  function watchServiceWorkerRegistration(registration) {
+    if (!registration || registration.__l2Agent) return;
+    registration.__l2Agent = true;
+
+    registration.addEventListener("updatefound", () => {
+      const installing = registration.installing;
+      installing?.addEventListener("statechange", () => {
+        // Going straight to redundant means install (or activate) threw
+        if (
+          installing.state === "redundant" &&
+          !registration.active?.scriptURL
+        ) {
+          reportWorkerError("service", installing.scriptURL, {
+            event: "install_failed",
+            errorType: "ServiceWorkerInstallError",
+            message: "Service worker failed to install",
+          });
+        }
+      });
+    });
+  }
+
+  const serviceWorkers = navigator.serviceWorker;
+  if (serviceWorkers) {
+    const _register = serviceWorkers.register.bind(serviceWorkers);
+    serviceWorkers.register = function (scriptURL, options) {
+      const promise = _register(scriptURL, options);
+      promise.then(watchServiceWorkerRegistration, (err) =>
+        reportWorkerError("service", scriptURL, {
+          event: "registration_failed",
+          errorType: err?.name || "ServiceWorkerRegistrationError",
+          message: err?.message || "Service worker registration failed",
+          stack: err?.stack,
+        })
+      );
+      return promise;
+    };
+
+    const registrationProto = window.ServiceWorkerRegistration?.prototype;
+    if (registrationProto?.update) {
+      const _update = registrationProto.update;
+      registrationProto.update = function () {
+        const promise = _update.apply(this, arguments);
+        const scriptURL = (this.active || this.waiting || this.installing)
+          ?.scriptURL;
+        promise.catch((err) =>
+          reportWorkerError("service", scriptURL, {
+            event: "update_failed",
+            errorType: err?.name || "ServiceWorkerUpdateError",
+            message: err?.message || "Service worker update failed",
+            stack: err?.stack,
+          })
+        );
+        return promise;
+      };
+    }
+
+    // A new worker taking over a page that already had one usually means a
+    // deploy mid-session: cached chunks and API contracts may no longer match
+    let lastController = serviceWorkers.controller?.scriptURL || null;
+    serviceWorkers.addEventListener("controllerchange", () => {
+      const next = serviceWorkers.controller?.scriptURL || null;
+      addBreadcrumb({ type: "service_worker", detail: `controller: ${next}` });
+      if (lastController) {
+        reportWorkerError("service", next, {
+          event: "controller_change",
+          level: "warning",
+          errorType: "ServiceWorkerControllerChange",
+          message: `Service worker replaced mid-session (was ${lastController})`,
+        });
+      }
+      lastController = next;
+    });
+
+    serviceWorkers.addEventListener("messageerror", () =>
+      reportWorkerError("service", serviceWorkers.controller?.scriptURL, {
+        event: "messageerror",
+        errorType: "MessageError",
+        message: "Message from service worker could not be deserialized",
+      })
+    );
+
+    serviceWorkers
+      .getRegistrations?.()
+      .then((registrations) =>
+        registrations.forEach(watchServiceWorkerRegistration)
+      )
+      .catch(() => {});
+  }
+
+  // =============================================
+  // 16. POLICY VIOLATIONS (CSP + Reporting API)
+  // =============================================
+  // A CSP block or a browser intervention makes a script/iframe fail without
+  // throwing, so on a customer's tenant this is often the only trace of it
+  const POLICY_REPORT_TYPES = ["deprecation", "intervention"];
+  const POLICY_DEDUPE_LIMIT = 200;
+  const reportedPolicyKeys = new Set();
+
+  function reportPolicyViolation(violation) {
+    // Deprecations fire on every call - one report per source location
+    const key = [
+      violation.kind,
+      violation.directive || violation.reportId,
+      violation.blockedUri,
+      violation.sourceFile,
+      violation.lineno,
+    ].join("|");
+    if (reportedPolicyKeys.has(key)) return;
+    if (reportedPolicyKeys.size >= POLICY_DEDUPE_LIMIT) return;
+    reportedPolicyKeys.add(key);
+
+    const entry = {
+      type: "policy_violation",
+      ...violation,
+      timestamp: new Date().toISOString(),
+      url: location.href,
+    };
+
+    addBreadcrumb({
+      type: "policy_violation",
+      detail: `${entry.kind}: ${entry.directive || entry.reportId}`,
+    });
+    sendToContentScript("policy_violation", entry);
+    _log(`🔴 L2 captured ${entry.kind} violation:`, entry.message);
+  }
+
+  document.addEventListener(
+    "securitypolicyviolation",
+    (e) => {
+      const directive = e.effectiveDirective || e.violatedDirective;
+      reportPolicyViolation({
+        kind: "csp",
+        directive,
+        disposition: e.disposition, // "enforce" blocked it, "report" only logged
+        blockedUri: e.blockedURI || "",
+        sourceFile: e.sourceFile || "",
+        lineno: e.lineNumber || 0,
+        colno: e.columnNumber || 0,
+        sample: e.sample || "",
+        message: `Refused ${e.blockedURI || "inline content"} (${directive})`,
+      });
+    },
+    true
+  );
+
+  // csp-violation reports duplicate the event above, so only these are observed
+  if (window.ReportingObserver) {
+    try {
+      new ReportingObserver(
+        (reports) =>
+          reports.forEach((report) =>
+            reportPolicyViolation({
+              kind: report.type,
+              reportId: report.body?.id || "",
+              blockedUri: "",
+              sourceFile: report.body?.sourceFile || "",
+              lineno: report.body?.lineNumber || 0,
+              colno: report.body?.columnNumber || 0,
+              anticipatedRemoval: report.body?.anticipatedRemoval || null,
+              message: report.body?.message || report.type,
+            })
+          ),
+        { types: POLICY_REPORT_TYPES, buffered: true }
+      ).observe();
+    } catch {
+      // Older browsers reject unknown report types
+    }
+  }
+
+  // =============================================
+  // 17. CORE WEB VITALS & PERFORMANCE
+  // =============================================
+  // Same definitions as the web-vitals library, minus attribution. A snapshot
+  // rides along with every crash; background keeps the latest per session.
+  const VITALS_THRESHOLDS = {
+    lcp: [2500, 4000],
+    cls: [0.1, 0.25],
+    inp: [200, 500],
+    ttfb: [800, 1800],
+  };
+  const PERF_REPORT_INTERVAL_MS = 30000;
+  const INP_CANDIDATES = 10;
+
+  const vitals = { lcp: null, cls: 0, inp: null, ttfb: null };
+  const longTaskStats = { count: 0, totalBlockingTime: 0, longest: 0 };
+  const slowestInteractions = []; // [{ id, duration }] sorted slowest first
+  let interactionCount = 0;
+  let clsWindow = { value: 0, start: 0, last: 0 };
+  let lastPerfReport = "";
+
+  observePerformance("navigation", (entry) => {
+    vitals.ttfb = Math.round(
+      Math.max(entry.responseStart - (entry.activationStart || 0), 0)
+    );
+  });
+
+  observePerformance("largest-contentful-paint", (entry) => {
+    vitals.lcp = Math.round(entry.startTime);
+  });
+
+  // CLS = largest burst of shifts (gap < 1s, burst < 5s) not caused by input
+  observePerformance("layout-shift", (entry) => {
+    if (entry.hadRecentInput) return;
+    if (
+      entry.startTime - clsWindow.last > 1000 ||
+      entry.startTime - clsWindow.start > 5000
+    ) {
+      clsWindow = { value: 0, start: entry.startTime, last: 0 };
+    }
+    clsWindow.value += entry.value;
+    clsWindow.last = entry.startTime;
+    vitals.cls = Math.max(vitals.cls, clsWindow.value);
+  });
+
+  // INP = worst interaction, skipping one outlier per 50 interactions
+  observePerformance(
+    "event",
+    (entry) => {
+      if (!entry.interactionId) return;
+      const known = slowestInteractions.find(
+        (i) => i.id === entry.interactionId
+      );
+      if (known) {
+        known.duration = Math.max(known.duration, entry.duration);
+      } else {
+        interactionCount++;
+        slowestInteractions.push({
+          id: entry.interactionId,
+          duration: entry.duration,
+        });
+      }
+      slowestInteractions.sort((a, b) => b.duration - a.duration);
+      slowestInteractions.length = Math.min(
+        slowestInteractions.length,
+        INP_CANDIDATES
+      );
+
+      const total = performance.interactionCount || interactionCount;
+      const candidate =
+        slowestInteractions[
+          Math.min(Math.floor(total / 50), slowestInteractions.length - 1)
+        ];
+      vitals.inp = candidate ? Math.round(candidate.duration) : null;
+    },
+    { durationThreshold: 40 }
+  );
+
+  observePerformance("longtask", (entry) => {
+    longTaskStats.count++;
+    longTaskStats.totalBlockingTime += Math.max(entry.duration - 50, 0);
+    longTaskStats.longest = Math.max(longTaskStats.longest, entry.duration);
+  });
+
+  function rateVital(name, value) {
+    if (value === null) return null;
+    const [good, poor] = VITALS_THRESHOLDS[name];
+    if (value <= good) return "good";
+    return value <= poor ? "needs-improvement" : "poor";
+  }
+
+  function memorySnapshot() {
+    const memory = performance.memory; // Chrome only
+    if (!memory) return null;
+    const toMB = (bytes) => Math.round(bytes / 1048576);
+    return {
+      usedMB: toMB(memory.usedJSHeapSize),
+      totalMB: toMB(memory.totalJSHeapSize),
+      limitMB: toMB(memory.jsHeapSizeLimit),
+    };
+  }
+
+  function performanceSnapshot() {
+    const metrics = { ...vitals, cls: Math.round(vitals.cls * 1000) / 1000 };
+    return {
+      ...metrics,
+      ratings: Object.fromEntries(
+        Object.keys(VITALS_THRESHOLDS).map((name) => [
+          name,
+          rateVital(name, metrics[name]),
+        ])
+      ),
+      longTasks: {
+        count: longTaskStats.count,
+        totalBlockingTime: Math.round(longTaskStats.totalBlockingTime),
+        longest: Math.round(longTaskStats.longest),
+      },
+      memory: memorySnapshot(),
+      interactions: performance.interactionCount || interactionCount,
+      sessionDuration: Date.now() - START_TIME,
+      timestamp: new Date().toISOString(),
+      url: location.href,
+    };
+  }
+
+  function reportPerformance() {
+    const snapshot = performanceSnapshot();
+    const { sessionDuration, timestamp, url, ...metrics } = snapshot;
+    const key = JSON.stringify(metrics);
+    if (key === lastPerfReport) return;
+    lastPerfReport = key;
+    sendToContentScript("performance_metrics", snapshot);
+  }
+
+  setInterval(reportPerformance, PERF_REPORT_INTERVAL_MS);
+  window.addEventListener("load", () => setTimeout(reportPerformance, 1000));
+  // LCP and CLS are final once the page is hidden
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) reportPerformance();
+  });
+
+  // =============================================
+  // 18. NETWORK WATERFALL (Resource Timing + intercepted requests)
+  // =============================================
+  // apiRequests only holds the sliding window around errors and misses
+  // static assets, beacons and anything sent before injection. Resource
+  // Timing sees all of it (buffered), with per-phase timings; intercepted
+  // entries add method/status/trace IDs and cover requests that never
+  // completed (no timing entry is created for those).
+  const WATERFALL_LIMIT = 300;
+  const WATERFALL_PER_CRASH = 100;
+  const INTERCEPTED_MATCH_MS = 100;
+
+  const resourceTimings = [];
+  const interceptedRequests = [];
+
+  try {
+    performance.setResourceTimingBufferSize?.(WATERFALL_LIMIT);
+  } catch {}
+
+  function absoluteUrl(url) {
+    try {
+      return new URL(url, location.href).href;
+    } catch {
+      return String(url);
+    }
+  }
+
+  function recordInterceptedRequest(entry) {
+    interceptedRequests.push({
+      url: absoluteUrl(entry.url),
+      kind: entry.type,
+      method: entry.method,
+      status: entry.status,
+      isError: !!entry.isError,
+      traceId: entry.traceId,
+      operation: entry.graphql?.operationName,
+      // Entries are stored when the response ends
+      startTime: Math.max(performance.now() - (entry.duration || 0), 0),
+      duration: entry.duration || 0,
+    });
+    if (interceptedRequests.length > WATERFALL_LIMIT) {
+      interceptedRequests.shift();
+    }
+  }
+
+  function phase(end, start) {
+    return end > 0 && start > 0 ? Math.round(end - start) : 0;
+  }
+
+  function describeResourceTiming(entry, frame) {
+    // Cross-origin responses without Timing-Allow-Origin zero these fields
+    const detailed = entry.requestStart > 0;
+    return {
+      url: entry.name,
+      initiatorType: entry.initiatorType,
+      frame,
+      startTime: Math.round(entry.startTime),
+      duration: Math.round(entry.duration),
+      phases: detailed
+        ? {
+            redirect: phase(entry.redirectEnd, entry.redirectStart),
+            dns: phase(entry.domainLookupEnd, entry.domainLookupStart),
+            connect: phase(entry.connectEnd, entry.connectStart),
+            tls: phase(entry.connectEnd, entry.secureConnectionStart),
+            ttfb: phase(entry.responseStart, entry.requestStart),
+            download: phase(entry.responseEnd, entry.responseStart),
+          }
+        : null,
+      transferSize: entry.transferSize || 0,
+      decodedSize: entry.decodedBodySize || 0,
+      cached: entry.transferSize === 0 && entry.decodedBodySize > 0,
+      protocol: entry.nextHopProtocol || null,
+      status: entry.responseStatus || null, // Chrome 109+
+      renderBlocking: entry.renderBlockingStatus === "blocking" || undefined,
+    };
+  }
+
+  observePerformance("resource", (entry) => {
+    resourceTimings.push(describeResourceTiming(entry, "top"));
+    if (resourceTimings.length > WATERFALL_LIMIT) resourceTimings.shift();
+  });
+
+  // Frames we aren't injected into (about:blank, srcdoc) but can still read
+  function sameOriginFrameTimings() {
+    const timings = [];
+    document.querySelectorAll("iframe").forEach((iframe) => {
+      try {
+        const frameWindow = iframe.contentWindow;
+        if (!frameWindow?.performance) return;
+        if (frameWindow.__L2AgentMainWorldInjected) return; // Reports itself
+
+        // Frame clocks start at the frame's own time origin
+        const offset =
+          frameWindow.performance.timeOrigin - performance.timeOrigin;
+        frameWindow.performance
+          .getEntriesByType("resource")
+          .forEach((entry) => {
+            const timing = describeResourceTiming(
+              entry,
+              stableSelector(iframe)
+            );
+            timing.startTime = Math.round(entry.startTime + offset);
+            timings.push(timing);
+          });
+      } catch {
+        // Cross-origin frame - only its document load is visible (above)
+      }
+    });
+    return timings;
+  }
+
+  /**
+   * Builds the session's network waterfall: resource timings merged with the
+   * XHR/fetch entries we intercepted, sorted by start time
+   * @param {Number} limit - Most recent entries to keep
+   * @returns {Array<Object>} Waterfall rows
+   */
+  function networkWaterfall(limit = WATERFALL_PER_CRASH) {
+    const unmatched = interceptedRequests.slice();
+    const rows = [...resourceTimings, ...sameOriginFrameTimings()].map(
+      (timing) => {
+        if (!["fetch", "xmlhttprequest"].includes(timing.initiatorType)) {
+          return { ...timing, source: "resource_timing" };
+        }
+
+        // Same URL, started at (nearly) the same time
+        const idx = unmatched.findIndex(
+          (req) =>
+            req.url === timing.url &&
+            Math.abs(req.startTime - timing.startTime) < INTERCEPTED_MATCH_MS
+        );
+        if (idx === -1) return { ...timing, source: "resource_timing" };
+
+        const [req] = unmatched.splice(idx, 1);
+        return {
+          ...timing,
+          source: "both",
+          method: req.method,
+          status: req.status || timing.status,
+          isError: req.isError,
+          traceId: req.traceId,
+          operation: req.operation,
+        };
+      }
+    );
+
+    // Aborted/failed requests may never produce a timing entry
+    unmatched.forEach((req) =>
+      rows.push({
+        url: req.url,
+        initiatorType: req.kind === "xhr" ? "xmlhttprequest" : "fetch",
+        frame: "top",
+        startTime: Math.round(req.startTime),
+        duration: Math.round(req.duration),
+        phases: null,
+        source: "intercepted",
+        method: req.method,
+        status: req.status,
+        isError: req.isError,
+        traceId: req.traceId,
+        operation: req.operation,
+      })
+    );
+
+    return rows.sort((a, b) => a.startTime - b.startTime).slice(-limit);
+  }
+
   _log("🔵 L2 Agent: Main world injection complete", {
     sessionId: SESSION_ID,
     interceptors: [
@@ -981,7 +3211,19 @@
       "unhandledrejection",
       "XHR",
       "fetch",
+      "WebSocket",
+      "EventSource",
+      "breadcrumbs",
+      "history",
+      "resources",
+      "longtask",
+      "frameworks",
+      "workers",
+      "securitypolicyviolation",
+      "ReportingObserver",
+      "web-vitals",
+      "resource-timing",
     ],
-    crashDetection: ["error_based", "dom_based"],
+    crashDetection: ["error_based", "dom_based", "blank_screen", "ui_freeze"],
   });
 })();
@@ -2,11 +2,10 @@
 document.addEventListener("DOMContentLoaded", () => {
   // DOM Elements
   const form = document.getElementById("options-form");
-  const enabledCheckbox = document.getElementById("enabled");
   const backendUrlInput = document.getElementById("backend-url");
-  const customSettingInput = document.getElementById("custom-setting");
   const saveMessage = document.getElementById("save-message");
   const clearDataBtn = document.getElementById("clear-data-btn");
+  const runCleanupBtn = document.getElementById("run-cleanup-btn");
 
   // Settings elements
   const trackingEnabled = document.getElementById("tracking-enabled");
@@ -16,35 +15,390 @@ document.addEventListener("DOMContentLoaded", () => {
   const trackConsole = document.getElementById("track-console");
   const crashNotification = document.getElementById("crash-notification");
   const maxErrors = document.getElementById("max-errors");
+  const freezeThreshold = document.getElementById("freeze-threshold");
 
-  // Load saved settings
-  chrome.storage.local.get(["settings"], (result) => {
-    if (result.settings) {
-      const s = result.settings;
-      trackingEnabled.checked = s.trackingEnabled !== false;
-      freshworksOnly.checked = s.freshworksOnly === true;
-      autoScreenshot.checked = s.autoScreenshot !== false;
-      trackApi.checked = s.trackApi !== false;
-      trackConsole.checked = s.trackConsole !== false;
-      crashNotification.checked = s.crashNotification !== false;
-      if (s.maxErrors) maxErrors.value = s.maxErrors.toString();
-      enabledCheckbox.checked = result.settings.enabled !== false;
-      if (result.settings.backendUrl) {
-        backendUrlInput.value = result.settings.backendUrl;
-      }
-      if (result.settings.customSetting) {
-        customSettingInput.value = result.settings.customSetting;
-      }
+  // Domain elements
+  const allowedDomains = document.getElementById("allowed-domains");
+  const deniedDomains = document.getElementById("denied-domains");
+  const domainErrors = document.getElementById("domain-errors");
+  const domainAccess = document.getElementById("domain-access");
+
+  // Retention & storage usage elements
+  const retentionRows = document.getElementById("retention-rows");
+  const storageUsageRows = document.getElementById("storage-usage-rows");
+  const storageUsageSummary = document.getElementById("storage-usage-summary");
+
+  const CATEGORY_LABELS = {
+    crashes: "Crashes",
+    apiErrors: "API errors",
+    apiRequests: "API requests",
+    consoleErrors: "Console errors",
+    pageErrors: "Page errors",
+    uiFreezes: "UI freezes",
+    workerErrors: "Worker errors",
+    policyViolations: "Policy violations",
+    screenshots: "Screenshots",
+  };
+
+  // Blank screen elements
+  const appRootSelectors = document.getElementById("app-root-selectors");
+  const appRootErrors = document.getElementById("app-root-errors");
+
+  // Redaction elements
+  const redactionEnabled = document.getElementById("redaction-enabled");
+  const redactionHeaders = document.getElementById("redaction-headers");
+  const redactionPaths = document.getElementById("redaction-paths");
+  const redactionPatterns = document.getElementById("redaction-patterns");
+  const redactionErrors = document.getElementById("redaction-errors");
+  const redactionSample = document.getElementById("redaction-sample");
+  const redactionPreviewBtn = document.getElementById("redaction-preview-btn");
+  const redactionPreview = document.getElementById("redaction-preview");
+
+  // Soft failure elements
+  const softFailureRules = document.getElementById("soft-failure-rules");
+  const softFailureErrors = document.getElementById("soft-failure-errors");
+  const softFailureSampleUrl = document.getElementById(
+    "soft-failure-sample-url"
+  );
+  const softFailureSample = document.getElementById("soft-failure-sample");
+  const softFailureTestBtn = document.getElementById("soft-failure-test-btn");
+  const softFailureResult = document.getElementById("soft-failure-result");
+
+  // Log search elements
+  const logSearchToken = document.getElementById("log-search-token");
+  const logSearchTestUrl = document.getElementById("log-search-test-url");
+  const logSearchTestTrace = document.getElementById("log-search-test-trace");
+  const logSearchTestBtn = document.getElementById("log-search-test-btn");
+  const logSearchResult = document.getElementById("log-search-result");
+
+  // Show defaults until saved settings load
+  renderRetention(L2Settings.DEFAULT_RETENTION);
+  refreshStorageUsage();
+  renderRedactionRules(L2Redaction.DEFAULT_RULES);
+  softFailureRules.value = L2SoftFailure.formatRuleLines(
+    L2SoftFailure.DEFAULT_RULES
+  );
+
+  // Load saved settings (L2Settings fills in defaults)
+  L2Settings.load().then((s) => {
+    trackingEnabled.checked = s.trackingEnabled;
+    freshworksOnly.checked = s.freshworksOnly;
+    autoScreenshot.checked = s.autoScreenshot;
+    trackApi.checked = s.trackApi;
+    trackConsole.checked = s.trackConsole;
+    crashNotification.checked = s.crashNotification;
+    maxErrors.value = s.maxErrors.toString();
+    freezeThreshold.value = s.freezeThresholdMs.toString();
+    backendUrlInput.value = s.backendUrl;
+    logSearchToken.value = s.logSearchToken;
+    allowedDomains.value = s.allowedDomains.join("\n");
+    deniedDomains.value = s.deniedDomains.join("\n");
+    showDomainAccess(s.allowedDomains);
+    if (s.appRootSelectors) {
+      appRootSelectors.value = s.appRootSelectors.join("\n");
+    }
+    if (s.softFailureRules) {
+      softFailureRules.value = L2SoftFailure.formatRuleLines(
+        s.softFailureRules
+      );
+    }
+    if (s.redaction) {
+      renderRedactionRules(s.redaction);
+    }
+    renderRetention(s.retention);
+  });
+
+  // =============================================
+  // RETENTION & STORAGE USAGE
+  // =============================================
+  function renderRetention(retention) {
+    retentionRows.innerHTML = Object.entries(retention)
+      .map(
+        ([list, policy]) => `
+        <tr>
+          <td>${CATEGORY_LABELS[list] || list}</td>
+          <td><input type="number" min="0" step="1" data-list="${list}" data-field="maxAgeDays" value="${
+          policy.maxAgeDays
+        }" /></td>
+          <td><input type="number" min="0" step="1" data-list="${list}" data-field="maxSizeMB" value="${
+          policy.maxSizeMB
+        }" /></td>
+        </tr>`
+      )
+      .join("");
+  }
+
+  function readRetention() {
+    const retention = {};
+    retentionRows.querySelectorAll("input").forEach((input) => {
+      const { list, field } = input.dataset;
+      retention[list] = retention[list] || {};
+      retention[list][field] = input.value.trim();
+    });
+    return L2Settings.normalize({ retention }).retention;
+  }
+
+  function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+  }
+
+  async function refreshStorageUsage() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getStorageUsage",
+      });
+      if (!response?.success) throw new Error(response?.error);
+      const { lists, usage, quota, lastCleanup } = response.data;
+
+      storageUsageRows.innerHTML = Object.entries(lists)
+        .map(
+          ([list, stats]) => `
+          <tr>
+            <td>${CATEGORY_LABELS[list] || list}</td>
+            <td>${stats.count}</td>
+            <td>${stats.pinned}</td>
+            <td>${formatBytes(stats.bytes)}</td>
+            <td>${
+              stats.oldest ? new Date(stats.oldest).toLocaleDateString() : "-"
+            }</td>
+          </tr>`
+        )
+        .join("");
+
+      const removed = Object.values(lastCleanup?.removed || {}).reduce(
+        (sum, n) => sum + n,
+        0
+      );
+      storageUsageSummary.textContent =
+        `Extension storage: ${formatBytes(usage)}` +
+        (quota ? ` of ${formatBytes(quota)} available` : "") +
+        (lastCleanup
+          ? ` · Last cleanup ${new Date(
+              lastCleanup.at
+            ).toLocaleString()} removed ${removed} item(s)`
+          : "");
+    } catch (e) {
+      storageUsageSummary.textContent = `Storage usage unavailable: ${e.message}`;
+    }
+  }
+
+  runCleanupBtn.addEventListener("click", async () => {
+    runCleanupBtn.disabled = true;
+    try {
+      await chrome.runtime.sendMessage({ action: "runRetention" });
+    } finally {
+      runCleanupBtn.disabled = false;
+      refreshStorageUsage();
     }
   });
 
+  // =============================================
+  // REDACTION RULES
+  // =============================================
+  function renderRedactionRules(rules) {
+    const r = L2Redaction.normalizeRules(rules);
+    redactionEnabled.checked = r.enabled;
+    redactionHeaders.value = r.headerDenylist.join("\n");
+    redactionPaths.value = r.jsonPaths.join("\n");
+    redactionPatterns.value = L2Redaction.formatRegexRuleLines(r.regexRules);
+  }
+
+  function splitLines(text) {
+    return text
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean);
+  }
+
+  // Returns { rules, errors } from the current form state
+  function readRedactionRules() {
+    const jsonPaths = splitLines(redactionPaths.value);
+    const parsedPatterns = L2Redaction.parseRegexRuleLines(
+      redactionPatterns.value
+    );
+
+    return {
+      rules: {
+        enabled: redactionEnabled.checked,
+        headerDenylist: splitLines(redactionHeaders.value).map((h) =>
+          h.toLowerCase()
+        ),
+        jsonPaths,
+        regexRules: parsedPatterns.rules,
+      },
+      errors: [
+        ...L2Redaction.validateJsonPaths(jsonPaths),
+        ...parsedPatterns.errors,
+      ],
+    };
+  }
+
+  function showRedactionErrors(errors) {
+    redactionErrors.textContent = errors.join("\n");
+    redactionErrors.classList.toggle("hidden", errors.length === 0);
+  }
+
+  redactionPreviewBtn.addEventListener("click", () => {
+    const { rules, errors } = readRedactionRules();
+    showRedactionErrors(errors);
+
+    const sample = redactionSample.value;
+    if (!sample.trim()) {
+      redactionPreview.textContent = "Paste a sample body to preview.";
+      redactionPreview.classList.remove("hidden");
+      return;
+    }
+
+    const { value, report } = L2Redaction.redactBody(sample, rules, "sample");
+    let pretty = value;
+    try {
+      pretty = JSON.stringify(JSON.parse(value), null, 2);
+    } catch {}
+
+    const masked = [...report.paths, ...report.patterns];
+    redactionPreview.textContent =
+      `${report.count} value(s) masked` +
+      (masked.length ? ` (${masked.join(", ")})` : "") +
+      `\n\n${pretty}`;
+    redactionPreview.classList.remove("hidden");
+  });
+
+  // =============================================
+  // SOFT FAILURE RULES
+  // =============================================
+  function showSoftFailureErrors(errors) {
+    softFailureErrors.textContent = errors.join("\n");
+    softFailureErrors.classList.toggle("hidden", errors.length === 0);
+  }
+
+  softFailureTestBtn.addEventListener("click", () => {
+    const { rules, errors } = L2SoftFailure.parseRuleLines(
+      softFailureRules.value
+    );
+    showSoftFailureErrors(errors);
+
+    let body;
+    try {
+      body = JSON.parse(softFailureSample.value);
+    } catch {
+      softFailureResult.textContent = "Sample body must be valid JSON.";
+      softFailureResult.classList.remove("hidden");
+      return;
+    }
+
+    const match = L2SoftFailure.matchResponse(
+      softFailureSampleUrl.value.trim(),
+      body,
+      L2SoftFailure.compileRules(rules)
+    );
+    softFailureResult.textContent = match
+      ? `Soft failure: ${match.rule}\n${match.conditions.join("\n")}`
+      : "No rule matched - treated as a successful response.";
+    softFailureResult.classList.remove("hidden");
+  });
+
+  // =============================================
+  // LOG SEARCH
+  // =============================================
+  logSearchTestBtn.addEventListener("click", async () => {
+    const token = logSearchToken.value.trim();
+    const url = logSearchTestUrl.value.trim();
+    const traceId = logSearchTestTrace.value.trim();
+    if (!token || !url || !traceId) {
+      logSearchResult.textContent =
+        "Enter a token, a request URL and a trace ID.";
+      logSearchResult.classList.remove("hidden");
+      return;
+    }
+
+    logSearchResult.textContent = "Searching...";
+    logSearchResult.classList.remove("hidden");
+
+    try {
+      const result = await chrome.runtime.sendMessage({
+        action: "testLogSearch",
+        url,
+        traceId,
+        token,
+      });
+      logSearchResult.textContent = result?.success
+        ? `${result.environment} (${result.provider}): ${
+            result.total
+          } log(s)\n\n${result.logs
+            .slice(0, 10)
+            .map(
+              (l) => `${l.timestamp || "-"} [${l.level || "-"}] ${l.message}`
+            )
+            .join("\n")}`
+        : `Search failed: ${result?.error || "no response"}`;
+    } catch (e) {
+      logSearchResult.textContent = `Search failed: ${e.message}`;
+    }
+  });
+
+  // =============================================
+  // DOMAINS
+  // =============================================
+  // Sites stay on the list without host access (prompt declined, or access
+  // removed in chrome://extensions) - content.js isn't registered for them
+  async function showDomainAccess(domains) {
+    const pending = [];
+    for (const domain of domains) {
+      const granted = await chrome.permissions.contains({
+        origins: [L2Settings.toMatchPattern(domain)],
+      });
+      if (!granted) pending.push(domain);
+    }
+    domainAccess.textContent =
+      "Not tracked until Chrome grants access (save again to be asked):\n" +
+      pending.join("\n");
+    domainAccess.classList.toggle("hidden", pending.length === 0);
+  }
+
+  // =============================================
+  // APP ROOT SELECTORS
+  // =============================================
+  function readAppRootSelectors() {
+    const selectors = splitLines(appRootSelectors.value);
+    const errors = [];
+    selectors.forEach((selector) => {
+      try {
+        document.querySelector(selector);
+      } catch {
+        errors.push(`Invalid selector: ${selector}`);
+      }
+    });
+    return { selectors, errors };
+  }
+
   // Save settings
   form.addEventListener("submit", (e) => {
     e.preventDefault();
 
+    const redaction = readRedactionRules();
+    showRedactionErrors(redaction.errors);
+    const softFailures = L2SoftFailure.parseRuleLines(softFailureRules.value);
+    showSoftFailureErrors(softFailures.errors);
+    const appRoots = readAppRootSelectors();
+    appRootErrors.textContent = appRoots.errors.join("\n");
+    appRootErrors.classList.toggle("hidden", appRoots.errors.length === 0);
+    const allowed = L2Settings.parseDomainLines(allowedDomains.value);
+    const denied = L2Settings.parseDomainLines(deniedDomains.value);
+    const domainErrorList = [...allowed.errors, ...denied.errors];
+    domainErrors.textContent = domainErrorList.join("\n");
+    domainErrors.classList.toggle("hidden", domainErrorList.length === 0);
+    if (
+      domainErrorList.length > 0 ||
+      redaction.errors.length > 0 ||
+      softFailures.errors.length > 0 ||
+      appRoots.errors.length > 0
+    ) {
+      return;
+    }
+
     const settings = {
-      enabled: true,
-      version: "1.0.0",
       trackingEnabled: trackingEnabled.checked,
       freshworksOnly: freshworksOnly.checked,
       autoScreenshot: autoScreenshot.checked,
@@ -52,13 +406,35 @@ document.addEventListener("DOMContentLoaded", () => {
       trackConsole: trackConsole.checked,
       crashNotification: crashNotification.checked,
       maxErrors: parseInt(maxErrors.value, 10),
-      enabled: enabledCheckbox.checked,
-      backendUrl: backendUrlInput.value || "http://localhost:3000",
-      customSetting: customSettingInput.value,
-      lastUpdated: new Date().toISOString(),
+      freezeThresholdMs: parseInt(freezeThreshold.value, 10),
+      backendUrl:
+        backendUrlInput.value.trim() || L2Settings.DEFAULTS.backendUrl,
+      appRootSelectors: appRoots.selectors,
+      softFailureRules: softFailures.rules,
+      redaction: redaction.rules,
+      logSearchToken: logSearchToken.value.trim(),
+      allowedDomains: allowed.domains,
+      deniedDomains: denied.domains,
+      retention: readRetention(),
     };
 
-    chrome.storage.local.set({ settings }, () => {
+    // Has to be asked before any await so Chrome still sees the click.
+    // Sites already granted don't prompt again.
+    const access =
+      allowed.domains.length > 0
+        ? chrome.permissions
+            .request({
+              origins: allowed.domains.map(L2Settings.toMatchPattern),
+            })
+            .catch(() => false)
+        : Promise.resolve(true);
+
+    // Background and every open tab pick this up through L2Settings.onChange;
+    // the background registers content.js once access is granted
+    Promise.all([access, L2Settings.save(settings)]).then(() => {
+      showDomainAccess(allowed.domains);
+      // The background cleans up when retention changes
+      setTimeout(refreshStorageUsage, 1000);
       saveMessage.classList.add("show");
       setTimeout(() => {
         saveMessage.classList.remove("show");
@@ -75,6 +451,7 @@ document.addEventListener("DOMContentLoaded", () => {
     ) {
       try {
         await chrome.runtime.sendMessage({ action: "clearAllErrors" });
+        refreshStorageUsage();
         alert("All stored data has been cleared.");
       } catch (error) {
         alert("Failed to clear data: " + error.message);
@@ -15,6 +15,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   const statusDot = document.getElementById("status-dot");
   const statusText = document.getElementById("status-text");
+  const trackSiteBtn = document.getElementById("track-site-btn");
   const resultDiv = document.getElementById("result");
   const errorList = document.getElementById("error-list");
   const emptyState = document.getElementById("empty-state");
@@ -23,9 +24,13 @@ document.addEventListener("DOMContentLoaded", async () => {
   const apiCount = document.getElementById("api-count");
   const consoleCount = document.getElementById("console-count");
   const screenshotCount = document.getElementById("screenshot-count");
+  const workerCount = document.getElementById("worker-count");
+  const issueCount = document.getElementById("issue-count");
 
   const captureBtn = document.getElementById("capture-btn");
   const exportBtn = document.getElementById("export-btn");
+  const exportMenu = document.getElementById("export-menu");
+  const exportCrashOptions = document.getElementById("export-crash-options");
   const clearBtn = document.getElementById("clear-btn");
   const analyzeAllBtn = document.getElementById("analyze-all-btn");
   const tabs = document.querySelectorAll(".tab");
@@ -45,6 +50,11 @@ document.addEventListener("DOMContentLoaded", async () => {
   const apiModalBackdrop = apiModal?.querySelector(".modal-backdrop");
   const copyApiDetails = document.getElementById("copy-api-details");
   const sendToLlm = document.getElementById("send-to-llm");
+  const backendLogsMeta = document.getElementById("backend-logs-meta");
+  const backendLogsControls = document.getElementById("backend-logs-controls");
+  const backendLogsLevel = document.getElementById("backend-logs-level");
+  const backendLogsSearch = document.getElementById("backend-logs-search");
+  const backendLogsList = document.getElementById("backend-logs-list");
 
   // LLM results modal elements
   const llmResultsModal = document.getElementById("llm-results-modal");
@@ -59,21 +69,44 @@ document.addEventListener("DOMContentLoaded", async () => {
   let currentScreenshot = null;
   let currentApiError = null;
   let currentLlmResult = null;
+  let activePage = null; // Current tab, for "Start tracking on this site"
+
+  // Events per list per request; older ones load with "Load more"
+  const PAGE_SIZE = 30;
+  const TAB_LISTS = {
+    crashes: ["crashes"],
+    api: ["apiErrors"],
+    console: ["consoleErrors", "pageErrors"],
+    workers: ["workerErrors"],
+    screenshots: ["screenshots"],
+    issues: [], // Loaded whole with getIssues
+  };
+
+  // Issues view order - open ones first, muted last
+  const ISSUE_STATUSES = {
+    new: "New",
+    acknowledged: "Acknowledged",
+    resolved: "Resolved",
+    muted: "Muted",
+  };
+  const ISSUE_ICONS = {
+    crash_detected: "💥",
+    api_error: "🟠",
+    resource_error: "📦",
+    worker_error: "⚙️",
+  };
 
   // =============================================
   // CONSENT CHECK
   // =============================================
   async function checkConsent() {
     try {
-      const result = await chrome.storage.local.get([
-        "userConsent",
-        "trackingEnabled",
-      ]);
+      const settings = await L2Settings.load();
 
       // Show dashboard if user has given consent (even if tracking is disabled)
       // This allows them to see the UI and re-enable easily
-      if (result.userConsent === true) {
-        isTracking = result.trackingEnabled !== false;
+      if (settings.userConsent) {
+        isTracking = settings.trackingEnabled;
         showDashboard();
         await loadErrors();
       } else {
@@ -224,6 +257,7 @@ document.addEventListener("DOMContentLoaded", async () => {
       // Get from background
       const bgResponse = await chrome.runtime.sendMessage({
         action: "getStoredErrors",
+        limit: PAGE_SIZE,
       });
       if (bgResponse?.success) {
         data = bgResponse.data;
@@ -233,21 +267,27 @@ document.addEventListener("DOMContentLoaded", async () => {
           apiErrors: [],
           consoleErrors: [],
           pageErrors: [],
+          workerErrors: [],
           screenshots: [],
           stats: {},
         };
       }
+      const issuesResponse = await chrome.runtime.sendMessage({
+        action: "getIssues",
+      });
+      data.issues = issuesResponse?.success ? issuesResponse.data : [];
 
       // Also try to get from current page
       const [tab] = await chrome.tabs.query({
         active: true,
         currentWindow: true,
       });
-      if (tab && isValidUrl(tab.url)) {
+      const tracked = tab && (await isTabTracked(tab));
+      if (tracked) {
         try {
           await chrome.scripting.executeScript({
             target: { tabId: tab.id },
-            files: ["content.js"],
+            files: ["settings.js", "content.js"],
           });
           const pageResponse = await chrome.tabs.sendMessage(tab.id, {
             action: "getErrors",
@@ -262,7 +302,7 @@ document.addEventListener("DOMContentLoaded", async () => {
       }
 
       updateStats();
-      updateStatus(tab);
+      updateStatus(tab, tracked);
       renderList();
     } catch (e) {
       console.error("Load errors:", e);
@@ -304,6 +344,23 @@ document.addEventListener("DOMContentLoaded", async () => {
         }
       });
     }
+    // Merge worker errors
+    if (pageData.workerErrors) {
+      if (!data.workerErrors) data.workerErrors = [];
+      pageData.workerErrors.forEach((err) => {
+        if (
+          !data.workerErrors.find(
+            (e) => e.timestamp === err.timestamp && e.event === err.event
+          )
+        ) {
+          data.workerErrors.push(err);
+        }
+      });
+    }
+    // Live page snapshot is fresher than the last one background stored
+    if (pageData.performance) {
+      data.performance = pageData.performance;
+    }
     // Merge crashes
     if (pageData.crashes) {
       pageData.crashes.forEach((c) => {
@@ -317,17 +374,29 @@ document.addEventListener("DOMContentLoaded", async () => {
   function updateStats() {
     if (!data) return;
 
-    const crashes = data.crashes?.length || 0;
-    const api = data.apiErrors?.length || 0;
+    // Stored totals - the lists only hold the pages loaded so far
+    const stats = data.stats || {};
+    const crashes = stats.totalCrashes ?? (data.crashes?.length || 0);
+    const api = stats.totalApiErrors ?? (data.apiErrors?.length || 0);
     const console_ =
-      (data.consoleErrors?.length || 0) + (data.pageErrors?.length || 0);
-    const screenshots = data.screenshots?.length || 0;
-    const requests = data.apiRequests?.length || 0;
+      (stats.totalConsoleErrors ?? (data.consoleErrors?.length || 0)) +
+      (stats.totalPageErrors ?? (data.pageErrors?.length || 0));
+    const screenshots =
+      stats.totalScreenshots ?? (data.screenshots?.length || 0);
+    const requests = stats.totalApiRequests ?? (data.apiRequests?.length || 0);
+    const workers = stats.totalWorkerErrors ?? (data.workerErrors?.length || 0);
 
     crashCount.textContent = crashes;
     apiCount.textContent = api;
     consoleCount.textContent = console_;
     screenshotCount.textContent = screenshots;
+    workerCount.textContent = workers;
+    workerCount.classList.toggle("has-errors", workers > 0);
+    const openIssues = (data.issues || []).filter(
+      (issue) => issue.status === "new"
+    ).length;
+    issueCount.textContent = openIssues;
+    issueCount.classList.toggle("has-errors", openIssues > 0);
 
     // Highlight cards with errors
     document
@@ -337,9 +406,45 @@ document.addEventListener("DOMContentLoaded", async () => {
     document
       .getElementById("console-card")
       .classList.toggle("has-errors", console_ > 0);
+
+    updatePerformance();
+  }
+
+  function latestSessionPerformance() {
+    return (
+      Object.values(data?.sessions || {})
+        .map((s) => s.performance)
+        .filter(Boolean)
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0] ||
+      null
+    );
   }
 
-  function updateStatus(tab) {
+  function updatePerformance() {
+    const perf = data.performance || latestSessionPerformance();
+    const metrics = {
+      lcp: perf?.lcp != null ? `${(perf.lcp / 1000).toFixed(1)}s` : "-",
+      cls: perf?.cls != null ? String(perf.cls) : "-",
+      inp: perf?.inp != null ? `${perf.inp}ms` : "-",
+      ttfb: perf?.ttfb != null ? `${perf.ttfb}ms` : "-",
+      memory: perf?.memory ? `${perf.memory.usedMB}MB` : "-",
+    };
+
+    Object.keys(metrics).forEach((name) => {
+      const el = document.getElementById(`perf-${name}`);
+      el.className = `perf-metric ${perf?.ratings?.[name] || ""}`.trim();
+      el.querySelector(".perf-value").textContent = metrics[name];
+    });
+    document.getElementById("perf-card").title = perf
+      ? `${perf.longTasks?.count || 0} long task(s), TBT ${
+          perf.longTasks?.totalBlockingTime || 0
+        }ms - ${perf.url}`
+      : "No performance data yet";
+  }
+
+  function updateStatus(tab, tracked) {
+    activePage = tab || null;
+    trackSiteBtn.classList.add("hidden");
     if (tab?.url) {
       try {
         const hostname = new URL(tab.url).hostname;
@@ -349,6 +454,10 @@ document.addEventListener("DOMContentLoaded", async () => {
         if (!isValidUrl(tab.url)) {
           statusDot.classList.add("error");
           statusText.textContent = "Cannot track on this page";
+        } else if (!tracked) {
+          statusDot.classList.add("error");
+          statusText.textContent = `Not tracking ${hostname}`;
+          trackSiteBtn.classList.remove("hidden");
         }
       } catch {
         statusText.textContent = "Active";
@@ -356,6 +465,48 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   }
 
+  // On the domain allow list (and not denied) with host access granted
+  async function isTabTracked(tab) {
+    if (!isValidUrl(tab.url)) return false;
+    const settings = await L2Settings.load();
+    if (!L2Settings.isUrlTracked(settings, tab.url)) return false;
+    return chrome.permissions.contains({
+      origins: [L2Settings.toMatchPattern(new URL(tab.url).hostname)],
+    });
+  }
+
+  // =============================================
+  // START TRACKING ON THIS SITE
+  // =============================================
+  trackSiteBtn.addEventListener("click", async () => {
+    if (!activePage) return;
+    const url = activePage.url;
+    const { hostname } = new URL(url);
+
+    // Asked before any await so Chrome still sees the click. The popup can
+    // close under the prompt, so the domain is saved without waiting on it -
+    // the background registers content.js when access is granted.
+    const access = chrome.permissions
+      .request({ origins: [L2Settings.toMatchPattern(hostname)] })
+      .catch(() => false);
+
+    const settings = await L2Settings.load();
+    const matches = (entry) => L2Settings.urlMatchesDomain(url, entry);
+    await L2Settings.save({
+      allowedDomains: settings.allowedDomains.some(matches)
+        ? settings.allowedDomains
+        : [...settings.allowedDomains, hostname],
+      deniedDomains: settings.deniedDomains.filter((entry) => !matches(entry)),
+    });
+
+    if (!(await access)) {
+      showResult("Chrome access to this site was not granted", true);
+      return;
+    }
+    showResult(`Tracking ${hostname} - reload to catch page-load errors`);
+    await loadErrors();
+  });
+
   // =============================================
   // RENDER ERROR LIST
   // =============================================
@@ -377,9 +528,15 @@ document.addEventListener("DOMContentLoaded", async () => {
         // Combine console errors and page errors
         items = [...(data.consoleErrors || []), ...(data.pageErrors || [])];
         break;
+      case "workers":
+        items = data.workerErrors || [];
+        break;
       case "screenshots":
         items = data.screenshots || [];
         break;
+      case "issues":
+        items = data.issues || [];
+        break;
     }
 
     if (items.length === 0) {
@@ -389,11 +546,29 @@ document.addEventListener("DOMContentLoaded", async () => {
 
     emptyState.style.display = "none";
 
-    // Sort by timestamp descending and take last 30
-    items.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    items = items.slice(0, 30);
+    if (currentTab === "issues") {
+      const order = Object.keys(ISSUE_STATUSES);
+      items.sort(
+        (a, b) =>
+          order.indexOf(a.status) - order.indexOf(b.status) ||
+          new Date(b.lastSeen) - new Date(a.lastSeen)
+      );
+    } else {
+      // Sort by timestamp descending
+      items.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
 
-    if (currentTab === "screenshots") {
+    if (currentTab === "issues") {
+      errorList.innerHTML = items.map(renderIssueItem).join("");
+      errorList.querySelectorAll(".issue-status").forEach((el) => {
+        el.addEventListener("change", () =>
+          changeIssueStatus(
+            items.find((issue) => issue.fingerprint === el.dataset.fingerprint),
+            el.value
+          )
+        );
+      });
+    } else if (currentTab === "screenshots") {
       errorList.innerHTML = items
         .map((item, idx) => renderScreenshotItem(item, idx))
         .join("");
@@ -419,6 +594,83 @@ document.addEventListener("DOMContentLoaded", async () => {
       errorList.innerHTML = items
         .map((item) => renderItem(item, currentTab))
         .join("");
+      errorList.querySelectorAll(".pin-btn").forEach((el) => {
+        el.addEventListener("click", () =>
+          togglePin(items.find((item) => item.seq === Number(el.dataset.seq)))
+        );
+      });
+    }
+
+    if (TAB_LISTS[currentTab].some((list) => data.cursors?.[list] != null)) {
+      const more = document.createElement("button");
+      more.className = "btn btn-secondary load-more-btn";
+      more.textContent = "Load more";
+      more.addEventListener("click", loadMore);
+      errorList.appendChild(more);
+    }
+  }
+
+  async function togglePin(crash) {
+    if (!crash) return;
+    const pinned = !crash.pinned;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "pinEvent",
+        list: "crashes",
+        seq: crash.seq,
+        pinned,
+      });
+      if (!response?.success) throw new Error(response?.error);
+      crash.pinned = pinned;
+      renderList();
+      showResult(pinned ? "Crash pinned" : "Crash unpinned");
+    } catch (e) {
+      showResult("Pin failed: " + e.message, true);
+    }
+  }
+
+  async function changeIssueStatus(issue, status) {
+    if (!issue) return;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "setIssueStatus",
+        fingerprint: issue.fingerprint,
+        status,
+      });
+      if (!response?.success) throw new Error(response?.error);
+      Object.assign(issue, response.data);
+      updateStats();
+    } catch (e) {
+      showResult("Status change failed: " + e.message, true);
+    }
+    renderList();
+  }
+
+  // Next page of the current tab's lists, appended to what's shown
+  async function loadMore() {
+    const lists = TAB_LISTS[currentTab].filter(
+      (list) => data.cursors?.[list] != null
+    );
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getStoredErrors",
+        types: lists,
+        cursors: data.cursors,
+        limit: PAGE_SIZE,
+      });
+      if (!response?.success) throw new Error(response?.error);
+
+      lists.forEach((list) => {
+        data[list] = [...(data[list] || []), ...response.data[list]];
+        data.cursors[list] = response.data.cursors[list];
+      });
+      data.stats = response.data.stats;
+      const scrollTop = errorList.scrollTop;
+      updateStats();
+      renderList();
+      errorList.scrollTop = scrollTop;
+    } catch (e) {
+      showResult("Could not load more: " + e.message, true);
     }
   }
 
@@ -472,7 +724,9 @@ document.addEventListener("DOMContentLoaded", async () => {
     // Set basic info
     document.getElementById("api-method").textContent =
       apiError.method || "GET";
-    document.getElementById("api-url").textContent = apiError.url || "";
+    document.getElementById("api-url").textContent = apiError.graphql
+      ? `${apiError.url} (${describeEndpoint(apiError)})`
+      : apiError.url || "";
     document.getElementById("api-status").textContent = `${
       apiError.status || 0
     } ${apiError.statusText || ""}`;
@@ -481,6 +735,8 @@ document.addEventListener("DOMContentLoaded", async () => {
     }ms`;
     document.getElementById("api-trace-id").textContent =
       apiError.traceId || "N/A";
+    document.getElementById("api-redaction").textContent =
+      formatRedaction(apiError.redaction);
 
     // Format and display request headers
     const reqHeaders = apiError.requestHeaders || {};
@@ -511,9 +767,15 @@ document.addEventListener("DOMContentLoaded", async () => {
         ? JSON.stringify(resHeaders, null, 2)
         : "No response headers captured";
 
-    // Format and display response body
+    // Format and display response body (recent frames for WebSocket/SSE)
     const resBody = apiError.responseBody || "";
-    if (resBody) {
+    if (apiError.frames?.length) {
+      document.getElementById("api-response-body").textContent = JSON.stringify(
+        apiError.frames,
+        null,
+        2
+      );
+    } else if (resBody) {
       try {
         const parsed = JSON.parse(resBody);
         document.getElementById("api-response-body").textContent =
@@ -526,9 +788,88 @@ document.addEventListener("DOMContentLoaded", async () => {
         "No response body";
     }
 
+    backendLogsLevel.value = "all";
+    backendLogsSearch.value = "";
+    renderBackendLogs();
+
     apiModal.classList.remove("hidden");
   }
 
+  // Logs fetched for the request's trace ID (apiService.js handleApiErrorLogFetch)
+  function renderBackendLogs() {
+    const apiLogs = currentApiError?.apiLogs;
+    if (!apiLogs?.logs) {
+      backendLogsMeta.textContent = "";
+      backendLogsControls.classList.add("hidden");
+      backendLogsList.innerHTML = `<div class="backend-logs-empty">${
+        currentApiError?.traceId
+          ? "No backend logs fetched for this trace ID"
+          : "No trace ID - backend logs can't be looked up"
+      }</div>`;
+      return;
+    }
+
+    const level = backendLogsLevel.value;
+    const query = backendLogsSearch.value.trim().toLowerCase();
+    const logs = apiLogs.logs.filter(
+      (log) =>
+        (level === "all" || backendLogLevel(log) === level) &&
+        (!query ||
+          `${log.message} ${log.service || ""}`.toLowerCase().includes(query))
+    );
+
+    const total = apiLogs.total ?? apiLogs.logs.length;
+    backendLogsMeta.textContent = `${
+      apiLogs.environment || apiLogs.provider || ""
+    } · ${logs.length} of ${apiLogs.logs.length}${
+      total > apiLogs.logs.length ? ` (${total} in backend)` : ""
+    }`;
+    backendLogsControls.classList.remove("hidden");
+    backendLogsList.innerHTML = logs.length
+      ? logs
+          .map((log) => {
+            const logLevel = backendLogLevel(log);
+            return `<div class="backend-log level-${logLevel}"><span class="backend-log-meta">${escapeHtml(
+              formatTime(log.timestamp)
+            )} ${logLevel.toUpperCase()}${
+              log.service ? ` [${escapeHtml(log.service)}]` : ""
+            }</span> ${escapeHtml(log.message)}</div>`;
+          })
+          .join("")
+      : `<div class="backend-logs-empty">No logs match</div>`;
+  }
+
+  // Maps backend level names to error/warn/info/debug; unlabeled lines that
+  // read like exceptions count as errors
+  function backendLogLevel(log) {
+    const level = String(log.level || "").toLowerCase();
+    if (/fatal|crit|emerg|alert|err|severe/.test(level)) return "error";
+    if (level.startsWith("warn")) return "warn";
+    if (/debug|trace|verbose/.test(level)) return "debug";
+    if (
+      !level &&
+      /\b(exception|traceback|panic)\b|\w+(Error|Exception)\b/i.test(
+        log.message || ""
+      )
+    ) {
+      return "error";
+    }
+    return "info";
+  }
+
+  function formatRedaction(redaction) {
+    if (!redaction) return "Not applied";
+    if (redaction.stripped) return "Payloads stripped (redaction unavailable)";
+    if (!redaction.count) return "Nothing matched";
+
+    const fields = [
+      ...(redaction.headers || []),
+      ...(redaction.paths || []),
+      ...(redaction.patterns || []),
+    ];
+    return `${redaction.count} value(s) - ${fields.join(", ")}`;
+  }
+
   function closeApiModal() {
     apiModal.classList.add("hidden");
     currentApiError = null;
@@ -536,6 +877,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   function renderItem(item, tab) {
     const time = formatTime(item.timestamp);
+    const routeLabel = item.route ? ` · ${escapeHtml(item.route)}` : "";
     let icon = "⚠️";
     let title = "";
     let detail = "";
@@ -560,7 +902,9 @@ document.addEventListener("DOMContentLoaded", async () => {
 
       case "console":
         icon =
-          item.type === "console.error" || item.type === "uncaught_error"
+          item.type === "console.error" ||
+          item.type === "uncaught_error" ||
+          item.type === "framework_error"
             ? "🔴"
             : "🟡";
 
@@ -583,13 +927,38 @@ document.addEventListener("DOMContentLoaded", async () => {
           title = truncate(firstLine || item.type || "Error", 60);
         }
 
-        // Show file/line or second line of message
-        if (item.filename) {
+        // Show the top frame's source location if it resolved, else
+        // file/line or the second line of the message
+        const original = item.resolvedFrames?.[0];
+        if (original?.source) {
+          detail = `${original.source}:${original.line}${
+            original.name ? ` (${original.name})` : ""
+          }`;
+        } else if (item.filename) {
           detail = `${item.filename}:${item.lineno || 0}`;
         } else {
           const secondLine = msg.split("\n")[1] || "";
           detail = truncate(secondLine, 60);
         }
+
+        // Framework hooks know which component or route failed
+        if (item.framework) {
+          const where = item.componentName || item.routeName;
+          detail = `${item.framework}${where ? ` <${where}>` : ""}${
+            detail ? ` · ${detail}` : ""
+          }`;
+        }
+        break;
+
+      case "workers":
+        icon = item.level === "warning" ? "🟡" : "🔴";
+        title = `${item.workerType} worker ${item.event}: ${truncate(
+          item.message,
+          40
+        )}`;
+        detail = item.filename
+          ? `${item.filename}:${item.lineno || 0}`
+          : item.scriptUrl || "";
         break;
 
       case "requests":
@@ -600,13 +969,23 @@ document.addEventListener("DOMContentLoaded", async () => {
         else icon = "⚪";
 
         title = `${item.method || "GET"} ${item.status || 0} - ${truncate(
-          item.url,
+          describeEndpoint(item),
           35
         )}`;
         detail = `${item.duration || 0}ms - ${item.type || "request"}`;
         break;
     }
 
+    // Stored crashes can be pinned to survive retention cleanup
+    const pin =
+      tab === "crashes" && item.seq != null
+        ? `<button class="pin-btn${item.pinned ? " pinned" : ""}" data-seq="${
+            item.seq
+          }" title="${
+            item.pinned ? "Pinned - kept by cleanup" : "Pin to keep"
+          }">📌</button>`
+        : "";
+
     return `
       <div class="error-item ${tab}" title="${escapeHtml(
       item.message || item.reason || ""
@@ -615,27 +994,82 @@ document.addEventListener("DOMContentLoaded", async () => {
         <div class="error-content">
           <div class="error-title">${escapeHtml(title)}</div>
           <div class="error-detail">${escapeHtml(detail)}</div>
-          <div class="error-time">${time}</div>
+          <div class="error-time">${time}${routeLabel}</div>
+        </div>
+        ${pin}
+      </div>
+    `;
+  }
+
+  function renderIssueItem(issue) {
+    const routes = Object.entries(issue.routes || {})
+      .sort((a, b) => b[1] - a[1])
+      .map(([route]) => route);
+    const routeLabel =
+      routes.length > 0
+        ? ` · ${truncate(routes.slice(0, 2).join(", "), 40)}${
+            routes.length > 2 ? ` +${routes.length - 2}` : ""
+          }`
+        : "";
+    const sessionLabel = `${issue.sessionCount} session${
+      issue.sessionCount === 1 ? "" : "s"
+    }`;
+    const options = Object.entries(ISSUE_STATUSES)
+      .map(
+        ([status, label]) =>
+          `<option value="${status}"${
+            status === issue.status ? " selected" : ""
+          }>${label}</option>`
+      )
+      .join("");
+
+    return `
+      <div class="error-item issue ${issue.status}" title="${escapeHtml(
+      issue.sample?.message || issue.title
+    )}">
+        <span class="error-icon">${ISSUE_ICONS[issue.errorType] || "🔴"}</span>
+        <div class="error-content">
+          <div class="error-title">${
+            issue.regression
+              ? '<span class="regression-badge">Regression</span>'
+              : ""
+          }${escapeHtml(issue.title)}</div>
+          <div class="error-detail">${
+            issue.count
+          }× · ${sessionLabel}${escapeHtml(routeLabel)}</div>
+          <div class="error-time">First ${formatDateTime(
+            issue.firstSeen
+          )} · Last ${formatDateTime(issue.lastSeen)}</div>
         </div>
+        <select class="issue-status" data-fingerprint="${escapeHtml(
+          issue.fingerprint
+        )}">${options}</select>
       </div>
     `;
   }
 
   function renderItemWithIndex(item, tab, idx) {
     const time = formatTime(item.timestamp);
+    const routeLabel = item.route ? ` · ${escapeHtml(item.route)}` : "";
     let icon = "⚠️";
     let title = "";
     let detail = "";
 
-    if (tab === "api") {
+    if (tab === "api" && item.type === "resource_error") {
+      icon = item.isChunk ? "🔴" : "📦";
+      title = `${item.tag || "resource"} failed - ${truncate(item.url, 40)}`;
+      detail = `${item.statusText} (${item.initiator || "unknown"})`;
+    } else if (tab === "api") {
       icon = item.status >= 500 ? "🔴" : "🟠";
       title = `${item.method || "GET"} ${item.status || 0} - ${truncate(
-        item.url,
+        describeEndpoint(item),
         40
       )}`;
+      if (item.softError) icon = "🟡";
       detail = item.traceId
         ? `Trace: ${truncate(item.traceId, 20)} | ${item.duration || 0}ms`
         : item.error || item.statusText || `${item.duration}ms`;
+      if (item.softError) detail = `Rule: ${item.softError.rule} | ${detail}`;
     }
 
     return `
@@ -644,12 +1078,18 @@ document.addEventListener("DOMContentLoaded", async () => {
         <div class="error-content">
           <div class="error-title">${escapeHtml(title)}</div>
           <div class="error-detail">${escapeHtml(detail)}</div>
-          <div class="error-time">${time}</div>
+          <div class="error-time">${time}${routeLabel}</div>
         </div>
       </div>
     `;
   }
 
+  // GraphQL calls all share one URL - the operation is what tells them apart
+  function describeEndpoint(item) {
+    if (!item.graphql) return item.url || "";
+    return `${item.graphql.operationType} ${item.graphql.operationName}`;
+  }
+
   function showEmpty() {
     emptyState.style.display = "flex";
     errorList.innerHTML = "";
@@ -705,6 +1145,8 @@ document.addEventListener("DOMContentLoaded", async () => {
   if (apiModalBackdrop) {
     apiModalBackdrop.addEventListener("click", closeApiModal);
   }
+  backendLogsLevel.addEventListener("change", renderBackendLogs);
+  backendLogsSearch.addEventListener("input", renderBackendLogs);
   if (copyApiDetails) {
     copyApiDetails.addEventListener("click", () => {
       if (!currentApiError) return;
@@ -720,6 +1162,7 @@ document.addEventListener("DOMContentLoaded", async () => {
         requestBody: currentApiError.requestBody,
         responseHeaders: currentApiError.responseHeaders,
         responseBody: currentApiError.responseBody,
+        backendLogs: currentApiError.apiLogs,
         timestamp: currentApiError.timestamp,
       };
 
@@ -892,21 +1335,71 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   });
 
-  exportBtn.addEventListener("click", async () => {
+  function downloadFile(content, filename, type) {
+    const blob = new Blob([JSON.stringify(content, null, 2)], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  exportBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    // Only stored crashes have an id background can look up
+    const crashes = (data?.crashes || []).filter((c) => c.id).slice(-5);
+    exportCrashOptions.innerHTML = crashes
+      .reverse()
+      .map(
+        (c) =>
+          `<button class="export-option" data-export="har" data-crash-id="${escapeHtml(
+            c.id
+          )}" title="${escapeHtml(c.reason || "")}">HAR - crash at ${formatTime(
+            c.timestamp
+          )}: ${escapeHtml(truncate(c.reason || "Page crash", 30))}</button>`
+      )
+      .join("");
+    exportMenu.classList.toggle("hidden");
+  });
+
+  document.addEventListener("click", () => exportMenu.classList.add("hidden"));
+
+  exportMenu.addEventListener("click", async (e) => {
+    const option = e.target.closest(".export-option");
+    if (!option) return;
+    exportMenu.classList.add("hidden");
+
     try {
+      if (option.dataset.export === "har") {
+        const crashId = option.dataset.crashId;
+        const response = await chrome.runtime.sendMessage({
+          action: "exportHar",
+          crashId,
+        });
+        if (!response?.success) throw new Error(response?.error || "No data");
+        downloadFile(
+          response.data,
+          `l2agent-${
+            crashId ? `crash-${crashId}` : "session"
+          }-${Date.now()}.har`,
+          "application/json"
+        );
+        showResult(
+          `HAR exported (${response.data.log.entries.length} requests)`
+        );
+        return;
+      }
+
       const response = await chrome.runtime.sendMessage({
         action: "exportErrors",
       });
       if (response?.success) {
-        const blob = new Blob([JSON.stringify(response.data, null, 2)], {
-          type: "application/json",
-        });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = `l2agent-report-${Date.now()}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+        downloadFile(
+          response.data,
+          `l2agent-report-${Date.now()}.json`,
+          "application/json"
+        );
         showResult("Report exported!");
       }
     } catch (e) {
@@ -938,6 +1431,7 @@ document.addEventListener("DOMContentLoaded", async () => {
         apiErrors: [],
         consoleErrors: [],
         pageErrors: [],
+        workerErrors: [],
         screenshots: [],
         stats: {},
       };
@@ -983,8 +1477,7 @@ document.addEventListener("DOMContentLoaded", async () => {
       console.log("Specific errors:", specificErrors);
 
       // Get backend URL from options or use default
-      const settings = await chrome.storage.sync.get("backendUrl");
-      const backendUrl = settings.backendUrl || "http://localhost:3000";
+      const { backendUrl } = await L2Settings.load();
       console.log("Backend URL:", backendUrl);
 
       // Format the data for LLM
@@ -1048,7 +1541,54 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   }
 
+  // Backend logs in LLM payloads: errors and warnings first, then the rest,
+  // until the character budget runs out
+  const BACKEND_LOG_BUDGET = {
+    PER_ERROR: 4000,
+    TOTAL: 12000,
+    MESSAGE_CHARS: 600,
+  };
+  const BACKEND_LOG_RANK = { error: 0, warn: 1, info: 2, debug: 3 };
+
+  function condenseBackendLogs(apiLogs, budget) {
+    if (!apiLogs?.logs?.length) return undefined;
+
+    const limit = Math.min(BACKEND_LOG_BUDGET.PER_ERROR, budget.remaining);
+    const ranked = apiLogs.logs
+      .map((log, idx) => ({ log, idx, level: backendLogLevel(log) }))
+      .sort(
+        (a, b) =>
+          BACKEND_LOG_RANK[a.level] - BACKEND_LOG_RANK[b.level] || a.idx - b.idx
+      );
+
+    let used = 0;
+    const kept = [];
+    ranked.forEach(({ log, idx, level }) => {
+      const line = `${log.timestamp || "-"} ${level.toUpperCase()}${
+        log.service ? ` [${log.service}]` : ""
+      } ${truncate(
+        String(log.message || ""),
+        BACKEND_LOG_BUDGET.MESSAGE_CHARS
+      )}`;
+      if (used + line.length > limit) return;
+      used += line.length;
+      kept.push({ idx, line });
+    });
+    budget.remaining -= used;
+
+    return {
+      environment: apiLogs.environment,
+      provider: apiLogs.provider,
+      total: apiLogs.total ?? apiLogs.logs.length,
+      omitted: apiLogs.logs.length - kept.length,
+      // Back in time order so the sequence leading to the failure reads naturally
+      lines: kept.sort((a, b) => a.idx - b.idx).map((k) => k.line),
+    };
+  }
+
   function formatDataForLLM(specificErrors = null) {
+    const logBudget = { remaining: BACKEND_LOG_BUDGET.TOTAL };
+
     if (specificErrors) {
       // Format specific errors (e.g., single API error from modal)
       return JSON.stringify(
@@ -1067,6 +1607,7 @@ document.addEventListener("DOMContentLoaded", async () => {
             responseHeaders: err.responseHeaders,
             responseBody: err.responseBody,
             errorDetails: err.errorDetails,
+            backendLogs: condenseBackendLogs(err.apiLogs, logBudget),
             timestamp: err.timestamp,
           })),
         },
@@ -1082,6 +1623,8 @@ document.addEventListener("DOMContentLoaded", async () => {
         totalCrashes: data?.crashes?.length || 0,
         totalApiErrors: data?.apiErrors?.length || 0,
         totalConsoleErrors: data?.consoleErrors?.length || 0,
+        totalWorkerErrors: data?.workerErrors?.length || 0,
+        performance: data?.performance || latestSessionPerformance(),
         timeRange: {
           from: getOldestTimestamp(),
           to: new Date().toISOString(),
@@ -1090,10 +1633,31 @@ document.addEventListener("DOMContentLoaded", async () => {
       crashes: (data?.crashes || []).map((crash) => ({
         reason: crash.reason,
         url: crash.url || crash.pageUrl,
+        route: crash.route,
         timestamp: crash.timestamp,
-        recentApiErrors: crash.recentApiErrors || [],
+        recentApiErrors: (crash.recentApiErrors || []).map(
+          ({ apiLogs, ...err }) => ({
+            ...err,
+            backendLogs: condenseBackendLogs(apiLogs, logBudget),
+          })
+        ),
         recentConsoleErrors: crash.recentConsoleErrors || [],
+        recentPageErrors: (crash.recentPageErrors || []).map((e) => ({
+          errorType: e.errorType,
+          message: e.message,
+          stack: e.resolvedStack || e.stack,
+        })),
         detectionMethod: crash.detectionMethod,
+        performance: crash.performance,
+        networkWaterfall: (crash.networkWaterfall || []).slice(-30),
+        userActions: (crash.breadcrumbs || []).slice(-15).map((b) => ({
+          type: b.type,
+          target: b.target,
+          text: b.text,
+          key: b.key,
+          detail: b.detail,
+          timestamp: b.timestamp,
+        })),
       })),
       apiErrors: (data?.apiErrors || []).slice(0, 10).map((err) => ({
         method: err.method,
@@ -1102,20 +1666,40 @@ document.addEventListener("DOMContentLoaded", async () => {
         statusText: err.statusText,
         duration: err.duration,
         traceId: err.traceId,
+        graphql: err.graphql,
+        softError: err.softError,
         requestHeaders: err.requestHeaders,
         requestBody: err.requestBody,
         responseHeaders: err.responseHeaders,
         responseBody: err.responseBody,
         errorDetails: err.errorDetails,
+        backendLogs: condenseBackendLogs(err.apiLogs, logBudget),
         timestamp: err.timestamp,
       })),
       consoleErrors: (data?.consoleErrors || []).slice(0, 10).map((err) => ({
         type: err.type,
         message: err.message,
         errorType: err.errorType,
+        stack: err.resolvedStack || err.stack,
+        filename: err.filename,
+        lineno: err.lineno,
+        route: err.route,
+        framework: err.framework,
+        componentName: err.componentName,
+        routeName: err.routeName,
+        renderPath: err.renderPath,
+        timestamp: err.timestamp,
+      })),
+      workerErrors: (data?.workerErrors || []).slice(0, 10).map((err) => ({
+        workerType: err.workerType,
+        event: err.event,
+        scriptUrl: err.scriptUrl,
+        errorType: err.errorType,
+        message: err.message,
         stack: err.stack,
         filename: err.filename,
         lineno: err.lineno,
+        route: err.route,
         timestamp: err.timestamp,
       })),
     };
@@ -1297,6 +1881,17 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   }
 
+  function formatDateTime(timestamp) {
+    try {
+      return new Date(timestamp).toLocaleString([], {
+        dateStyle: "short",
+        timeStyle: "short",
+      });
+    } catch {
+      return "";
+    }
+  }
+
   function truncate(str, len) {
     if (!str) return "";
     return str.length > len ? str.slice(0, len) + "..." : str;
@@ -0,0 +1,489 @@
+// L2 Agent - Redaction Engine
+// Shared by injected.js (main world), options.js (rule editor/preview) and background.js
+// Masks secrets and PII in captured headers and bodies before they are stored or sent anywhere
+
+(function (root) {
+  "use strict";
+
+  const MASK = "[REDACTED]";
+
+  // Default rules - used until the user saves their own on the options page
+  const DEFAULT_RULES = {
+    enabled: true,
+    headerDenylist: [
+      "authorization",
+      "proxy-authorization",
+      "cookie",
+      "set-cookie",
+      "x-csrf-token",
+      "x-xsrf-token",
+      "x-api-key",
+      "x-auth-token",
+    ],
+    jsonPaths: [
+      "$..password",
+      "$..passwd",
+      "$..secret",
+      "$..token",
+      "$..access_token",
+      "$..refresh_token",
+      "$..api_key",
+      "$..apiKey",
+      "$..authenticity_token",
+    ],
+    regexRules: [
+      {
+        name: "bearer_token",
+        pattern: "Bearer\\s+[A-Za-z0-9\\-._~+/]+=*",
+        flags: "gi",
+      },
+      {
+        name: "jwt",
+        pattern: "eyJ[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+",
+        flags: "g",
+      },
+      {
+        name: "email",
+        pattern: "[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}",
+        flags: "g",
+      },
+      {
+        name: "card_number",
+        pattern: "\\b\\d(?:[ -]?\\d){12,15}\\b",
+        flags: "g",
+      },
+    ],
+  };
+
+  /**
+   * Merges user rules over the defaults so missing fields fall back safely
+   * @param {Object} rules - Partial rules object (from settings)
+   * @returns {Object} Complete rules object
+   */
+  function normalizeRules(rules) {
+    const r = rules || {};
+    return {
+      enabled: r.enabled !== false,
+      headerDenylist: (r.headerDenylist || DEFAULT_RULES.headerDenylist).map(
+        (h) => String(h).trim().toLowerCase()
+      ),
+      jsonPaths: r.jsonPaths || DEFAULT_RULES.jsonPaths,
+      regexRules: r.regexRules || DEFAULT_RULES.regexRules,
+    };
+  }
+
+  // =============================================
+  // JSON PATH (subset: $.a.b, $..key, $.list[*].key, $.list[0], $.obj.*)
+  // =============================================
+  function parseJsonPath(path) {
+    const src = String(path || "").trim();
+    if (!src.startsWith("$")) return null;
+
+    const segments = [];
+    const re =
+      /(\.\.|\.)?(?:\[(\*|\d+|'[^']*'|"[^"]*")\]|([A-Za-z0-9_$\-]+|\*))/y;
+    let i = 1;
+    while (i < src.length) {
+      re.lastIndex = i;
+      const m = re.exec(src);
+      if (!m || m[0].length === 0) return null;
+      const bracket = m[2];
+      const key =
+        bracket !== undefined ? bracket.replace(/^['"]|['"]$/g, "") : m[3];
+      if (m[1] === undefined && bracket === undefined) return null;
+      segments.push({ descendant: m[1] === "..", key });
+      i = re.lastIndex;
+    }
+    return segments.length > 0 ? segments : null;
+  }
+
+  // Keys match case-insensitively - "$..password" also masks "Password"
+  function matchingKeys(node, key) {
+    if (key === "*") return Object.keys(node);
+    const wanted = key.toLowerCase();
+    return Object.keys(node).filter((k) => k.toLowerCase() === wanted);
+  }
+
+  function applyPath(node, segments, idx) {
+    if (!node || typeof node !== "object") return 0;
+
+    const seg = segments[idx];
+    const isLast = idx === segments.length - 1;
+    let hits = 0;
+
+    matchingKeys(node, seg.key).forEach((key) => {
+      if (isLast) {
+        if (node[key] !== MASK) {
+          node[key] = MASK;
+          hits++;
+        }
+      } else {
+        hits += applyPath(node[key], segments, idx + 1);
+      }
+    });
+
+    // Recursive descent: try the same segment at every depth below
+    if (seg.descendant) {
+      Object.keys(node).forEach((key) => {
+        if (node[key] && typeof node[key] === "object") {
+          hits += applyPath(node[key], segments, idx);
+        }
+      });
+    }
+
+    return hits;
+  }
+
+  // =============================================
+  // REGEX RULES
+  // =============================================
+  // Extra checks by rule name, so digit runs like timestamps and order ids
+  // aren't taken for card numbers
+  const MATCH_VALIDATORS = {
+    card_number: looksLikeCard,
+  };
+
+  // Network prefix (Amex/Diners 3, Visa 4, Mastercard 2/5, Discover 6) + Luhn
+  function looksLikeCard(text) {
+    const digits = text.replace(/\D/g, "");
+    if (digits.length < 13 || digits.length > 19) return false;
+    if (!/^[2-6]/.test(digits)) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let d = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        d *= 2;
+        if (d > 9) d -= 9;
+      }
+      sum += d;
+    }
+    return sum % 10 === 0;
+  }
+
+  // Path rules need parseable JSON; for form bodies, cut-off JSON and plain
+  // text the denylisted keys are also masked as "key": value / key=value
+  function compileKeyFallback(jsonPaths) {
+    const keys = new Set();
+    (jsonPaths || []).forEach((path) => {
+      const segments = parseJsonPath(path);
+      const key = segments && segments[segments.length - 1].key;
+      if (key && key !== "*" && !/^\d+$/.test(key)) keys.add(key);
+    });
+    if (keys.size === 0) return null;
+
+    const names = [...keys]
+      .map((key) => key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("|");
+    return {
+      name: "denylisted_key",
+      regex: new RegExp(
+        `(["']?)\\b(${names})\\1(\\s*[:=]\\s*)("(?:[^"\\\\]|\\\\.)*"?|'(?:[^'\\\\]|\\\\.)*'?|[^\\s"'&,;{}\\[\\]]+)`,
+        "gi"
+      ),
+      replace: (match, quote, key, separator, value) => {
+        if (value === MASK || value === `"${MASK}"`) return match;
+        const masked = /^["']/.test(value)
+          ? `${value[0]}${MASK}${value[0]}`
+          : MASK;
+        return `${quote}${key}${quote}${separator}${masked}`;
+      },
+    };
+  }
+
+  function compileRegexRules(regexRules, jsonPaths) {
+    const compiled = [];
+    const keyFallback = compileKeyFallback(jsonPaths);
+    if (keyFallback) compiled.push(keyFallback);
+    (regexRules || []).forEach((rule) => {
+      try {
+        const flags = rule.flags || "g";
+        compiled.push({
+          name: rule.name || "pattern",
+          validate: MATCH_VALIDATORS[rule.name],
+          regex: new RegExp(
+            rule.pattern,
+            flags.includes("g") ? flags : flags + "g"
+          ),
+        });
+      } catch {
+        // Invalid pattern - skip it (the options page validates on save)
+      }
+    });
+    return compiled;
+  }
+
+  function redactString(str, compiledRegex, report, field) {
+    let out = str;
+    compiledRegex.forEach(({ name, regex, validate, replace }) => {
+      regex.lastIndex = 0;
+      let count = 0;
+      out = out.replace(regex, (match, ...groups) => {
+        if (validate && !validate(match)) return match;
+        const masked = replace ? replace(match, ...groups) : MASK;
+        if (masked !== match) count++;
+        // Older saved patterns can end on a separator - keep it
+        return replace ? masked : masked + (match.match(/[ -]$/)?.[0] || "");
+      });
+      if (count > 0) {
+        report.count += count;
+        report.patterns.push(`${field}:${name}`);
+      }
+    });
+    return out;
+  }
+
+  function redactStringsDeep(node, compiledRegex, report, field) {
+    if (typeof node === "string") {
+      return redactString(node, compiledRegex, report, field);
+    }
+    if (Array.isArray(node)) {
+      return node.map((v) =>
+        redactStringsDeep(v, compiledRegex, report, field)
+      );
+    }
+    if (node && typeof node === "object") {
+      Object.keys(node).forEach((key) => {
+        node[key] = redactStringsDeep(node[key], compiledRegex, report, field);
+      });
+    }
+    return node;
+  }
+
+  // =============================================
+  // FIELD REDACTION
+  // =============================================
+  function redactHeaders(headers, rules, compiledRegex, report, field) {
+    if (!headers || typeof headers !== "object") return headers;
+
+    const out = {};
+    Object.keys(headers).forEach((name) => {
+      if (rules.headerDenylist.includes(name.toLowerCase())) {
+        out[name] = MASK;
+        report.count++;
+        report.headers.push(`${field}:${name.toLowerCase()}`);
+      } else {
+        out[name] = redactString(
+          String(headers[name]),
+          compiledRegex,
+          report,
+          field
+        );
+      }
+    });
+    return out;
+  }
+
+  function redactObject(obj, rules, compiledRegex, report, field) {
+    rules.jsonPaths.forEach((path) => {
+      const segments = parseJsonPath(path);
+      if (!segments) return;
+      const hits = applyPath(obj, segments, 0);
+      if (hits > 0) {
+        report.count += hits;
+        report.paths.push(`${field}:${path}`);
+      }
+    });
+    return redactStringsDeep(obj, compiledRegex, report, field);
+  }
+
+  function redactBody(body, rules, compiledRegex, report, field) {
+    if (body === null || body === undefined || body === "") return body;
+    if (typeof body !== "string") {
+      return redactObject(
+        JSON.parse(JSON.stringify(body)),
+        rules,
+        compiledRegex,
+        report,
+        field
+      );
+    }
+
+    // JSON bodies get path rules; anything else (or truncated JSON) only gets regex rules
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      parsed = undefined;
+    }
+
+    if (parsed && typeof parsed === "object") {
+      const redacted = redactObject(
+        parsed,
+        rules,
+        compiledRegex,
+        report,
+        field
+      );
+      return JSON.stringify(redacted);
+    }
+
+    return redactString(body, compiledRegex, report, field);
+  }
+
+  /**
+   * Redacts a captured API entry (XHR/fetch) according to the rules
+   * @param {Object} entry - Captured request entry
+   * @param {Object} rules - Redaction rules (see DEFAULT_RULES)
+   * @returns {Object} New entry with masked fields and a `redaction` summary
+   */
+  function redactEntry(entry, rules) {
+    const r = normalizeRules(rules);
+    if (!entry || !r.enabled) return entry;
+
+    const compiledRegex = compileRegexRules(r.regexRules, r.jsonPaths);
+    const report = { count: 0, headers: [], paths: [], patterns: [] };
+    const out = { ...entry };
+
+    if (out.requestHeaders) {
+      out.requestHeaders = redactHeaders(
+        out.requestHeaders,
+        r,
+        compiledRegex,
+        report,
+        "requestHeaders"
+      );
+    }
+    if (out.responseHeaders) {
+      out.responseHeaders = redactHeaders(
+        out.responseHeaders,
+        r,
+        compiledRegex,
+        report,
+        "responseHeaders"
+      );
+    }
+    if (out.requestBody) {
+      out.requestBody = redactBody(
+        out.requestBody,
+        r,
+        compiledRegex,
+        report,
+        "requestBody"
+      );
+    }
+    if (out.responseBody) {
+      out.responseBody = redactBody(
+        out.responseBody,
+        r,
+        compiledRegex,
+        report,
+        "responseBody"
+      );
+    }
+    if (out.errorDetails) {
+      out.errorDetails = redactBody(
+        out.errorDetails,
+        r,
+        compiledRegex,
+        report,
+        "errorDetails"
+      );
+    }
+
+    if (out.graphql) {
+      out.graphql = {
+        ...out.graphql,
+        operations: (out.graphql.operations || []).map((op) => ({
+          ...op,
+          variables: op.variables
+            ? redactBody(
+                op.variables,
+                r,
+                compiledRegex,
+                report,
+                "graphqlVariables"
+              )
+            : op.variables,
+        })),
+      };
+      if (out.graphql.errors) {
+        out.graphql.errors = redactBody(
+          out.graphql.errors,
+          r,
+          compiledRegex,
+          report,
+          "graphqlErrors"
+        );
+      }
+    }
+    if (typeof out.error === "string") {
+      out.error = redactString(out.error, compiledRegex, report, "error");
+    }
+
+    out.redaction = {
+      applied: true,
+      count: report.count,
+      headers: [...new Set(report.headers)],
+      paths: [...new Set(report.paths)],
+      patterns: [...new Set(report.patterns)],
+    };
+
+    return out;
+  }
+
+  // =============================================
+  // RULE TEXT FORMAT (options page)
+  // One regex rule per line: name: /pattern/flags
+  // =============================================
+  function parseRegexRuleLines(text) {
+    const rules = [];
+    const errors = [];
+
+    String(text || "")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .forEach((line, idx) => {
+        const m = line.match(/^([\w-]+)\s*:\s*\/(.+)\/([a-z]*)$/);
+        if (!m) {
+          errors.push(`Line ${idx + 1}: expected "name: /pattern/flags"`);
+          return;
+        }
+        try {
+          new RegExp(m[2], m[3]);
+          rules.push({ name: m[1], pattern: m[2], flags: m[3] || "g" });
+        } catch (e) {
+          errors.push(`Line ${idx + 1}: ${e.message}`);
+        }
+      });
+
+    return { rules, errors };
+  }
+
+  function formatRegexRuleLines(regexRules) {
+    return (regexRules || [])
+      .map((r) => `${r.name}: /${r.pattern}/${r.flags || "g"}`)
+      .join("\n");
+  }
+
+  function validateJsonPaths(paths) {
+    return (paths || [])
+      .filter((p) => !parseJsonPath(p))
+      .map((p) => `Invalid JSON path: ${p}`);
+  }
+
+  root.L2Redaction = {
+    MASK,
+    DEFAULT_RULES,
+    normalizeRules,
+    redactEntry,
+    redactBody: (body, rules, field = "body") => {
+      const r = normalizeRules(rules);
+      const report = { count: 0, headers: [], paths: [], patterns: [] };
+      const value = r.enabled
+        ? redactBody(
+            body,
+            r,
+            compileRegexRules(r.regexRules, r.jsonPaths),
+            report,
+            field
+          )
+        : body;
+      return { value, report };
+    },
+    parseJsonPath,
+    parseRegexRuleLines,
+    formatRegexRuleLines,
+    validateJsonPaths,
+  };
+})(typeof self !== "undefined" ? self : window);
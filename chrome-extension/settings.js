@@ -0,0 +1,354 @@
+// L2 Agent - Settings
+// Shared by background.js, content.js, injected.js (main world), popup.js and options.js
+// One place for defaults, validation, storage limits and which events are captured.
+// Stored as chrome.storage.local "settings"; the on/off switch and consent stay
+// top-level ("trackingEnabled", "userConsent") where the popup has always kept them
+
+(function (root) {
+  "use strict";
+
+  const DEFAULTS = {
+    userConsent: false,
+    trackingEnabled: true,
+    freshworksOnly: false,
+    autoScreenshot: true,
+    trackApi: true,
+    trackConsole: true,
+    crashNotification: true,
+    maxErrors: 500,
+    freezeThresholdMs: 5000,
+    backendUrl: "http://localhost:3000",
+    appRootSelectors: null, // null = injected.js defaults
+    softFailureRules: null, // null = softFailure.js defaults
+    redaction: null, // null = redaction.js defaults
+    logSearchToken: "",
+    allowedDomains: null, // null = DEFAULT_ALLOWED_DOMAINS
+    deniedDomains: [],
+    retention: null, // null = DEFAULT_RETENTION
+  };
+
+  const MAX_ERRORS_RANGE = { min: 50, max: 5000 };
+
+  // Share of maxErrors each stored list may keep. At the default of 500
+  // these work out to the limits the extension has always used
+  const STORAGE_SHARES = {
+    crashes: 0.1,
+    apiErrors: 0.4,
+    apiRequests: 0.4,
+    consoleErrors: 0.4,
+    pageErrors: 0.2,
+    uiFreezes: 0.1,
+    workerErrors: 0.2,
+    policyViolations: 0.2,
+    screenshots: 0.06,
+  };
+  const MIN_STORED = 5;
+
+  // Scheduled cleanup per stored list, on top of the count caps above.
+  // 0 = no limit. Pinned events are never removed.
+  const DEFAULT_RETENTION = {
+    crashes: { maxAgeDays: 30, maxSizeMB: 0 },
+    apiErrors: { maxAgeDays: 14, maxSizeMB: 0 },
+    apiRequests: { maxAgeDays: 3, maxSizeMB: 10 },
+    consoleErrors: { maxAgeDays: 14, maxSizeMB: 0 },
+    pageErrors: { maxAgeDays: 14, maxSizeMB: 0 },
+    uiFreezes: { maxAgeDays: 14, maxSizeMB: 0 },
+    workerErrors: { maxAgeDays: 14, maxSizeMB: 0 },
+    policyViolations: { maxAgeDays: 7, maxSizeMB: 0 },
+    screenshots: { maxAgeDays: 7, maxSizeMB: 20 },
+  };
+
+  const FRESHWORKS_DOMAINS = [
+    "freshworks.com",
+    "freshdesk.com",
+    "freshservice.com",
+    "freshsales.io",
+    "myfreshworks.com",
+    "freshworksapi.io",
+    "freshworkscorp.com",
+  ];
+
+  // The sites the manifest used to hardcode for content.js
+  const DEFAULT_ALLOWED_DOMAINS = [
+    ...FRESHWORKS_DOMAINS.map((domain) => `*.${domain}`),
+    "localhost",
+    "127.0.0.1",
+  ];
+
+  // Event types switched off by the capture toggles
+  const API_EVENTS = ["api_error", "resource_error", "api_request"];
+  const CONSOLE_EVENTS = ["console_error", "console_warn"];
+
+  // =============================================
+  // NORMALIZE - stored values may be missing, stale or hand-edited
+  // =============================================
+  function normalize(stored, state) {
+    const s = stored || {};
+    const maxErrors = parseInt(s.maxErrors, 10);
+    const freezeThresholdMs = parseInt(s.freezeThresholdMs, 10);
+    const backendUrl =
+      typeof s.backendUrl === "string" ? s.backendUrl.trim() : "";
+
+    return {
+      userConsent: state?.userConsent === true,
+      trackingEnabled: state?.trackingEnabled !== false,
+      freshworksOnly: s.freshworksOnly === true,
+      autoScreenshot: s.autoScreenshot !== false,
+      trackApi: s.trackApi !== false,
+      trackConsole: s.trackConsole !== false,
+      crashNotification: s.crashNotification !== false,
+      maxErrors:
+        maxErrors >= MAX_ERRORS_RANGE.min && maxErrors <= MAX_ERRORS_RANGE.max
+          ? maxErrors
+          : DEFAULTS.maxErrors,
+      freezeThresholdMs:
+        freezeThresholdMs > 0 ? freezeThresholdMs : DEFAULTS.freezeThresholdMs,
+      backendUrl: (backendUrl || DEFAULTS.backendUrl).replace(/\/+$/, ""),
+      appRootSelectors: Array.isArray(s.appRootSelectors)
+        ? s.appRootSelectors
+        : null,
+      softFailureRules: Array.isArray(s.softFailureRules)
+        ? s.softFailureRules
+        : null,
+      redaction: s.redaction || null,
+      logSearchToken: s.logSearchToken || "",
+      allowedDomains: Array.isArray(s.allowedDomains)
+        ? s.allowedDomains.filter(toMatchPattern)
+        : DEFAULT_ALLOWED_DOMAINS.slice(),
+      deniedDomains: Array.isArray(s.deniedDomains)
+        ? s.deniedDomains.filter(toMatchPattern)
+        : [],
+      retention: normalizeRetention(s.retention),
+    };
+  }
+
+  // Unknown lists dropped, missing or invalid limits fall back per field
+  function normalizeRetention(stored) {
+    const limit = (value, fallback) => {
+      const n = Number(value);
+      return value !== "" && value !== null && n >= 0 ? n : fallback;
+    };
+    const retention = {};
+    Object.entries(DEFAULT_RETENTION).forEach(([list, defaults]) => {
+      const policy = stored?.[list] || {};
+      retention[list] = {
+        maxAgeDays: limit(policy.maxAgeDays, defaults.maxAgeDays),
+        maxSizeMB: limit(policy.maxSizeMB, defaults.maxSizeMB),
+      };
+    });
+    return retention;
+  }
+
+  // =============================================
+  // DOMAINS - allow/deny entries are "example.com", "*.example.com" (also
+  // matches example.com) or a full match pattern like "https://example.com/*"
+  // =============================================
+  const HOST_PATTERN = /^(\*|(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*)$/i;
+  const MATCH_PATTERN = /^(\*|https?):\/\/([^/]+)(\/.*)$/i;
+
+  /**
+   * Chrome match pattern for a domain list entry
+   * @param {String} entry - Domain or match pattern
+   * @returns {String|null} - e.g. "*://*.example.com/*", null if invalid
+   */
+  function toMatchPattern(entry) {
+    const value = String(entry || "").trim();
+    const full = value.match(MATCH_PATTERN);
+    if (full) return HOST_PATTERN.test(full[2]) ? value : null;
+
+    // Match patterns have no ports - "localhost:8080" covers every port
+    const host = value
+      .toLowerCase()
+      .replace(/\/\*?$/, "")
+      .replace(/:\d+$/, "");
+    return HOST_PATTERN.test(host) ? `*://${host}/*` : null;
+  }
+
+  // Returns { domains, errors } for one entry per line
+  function parseDomainLines(text) {
+    const domains = [];
+    const errors = [];
+    text
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .forEach((line) => {
+        if (toMatchPattern(line)) domains.push(line);
+        else errors.push(`Invalid domain pattern: ${line}`);
+      });
+    return { domains, errors };
+  }
+
+  function urlMatchesPattern(url, pattern) {
+    const parts = pattern && pattern.match(MATCH_PATTERN);
+    if (!parts) return false;
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return false;
+    }
+
+    const [, scheme, host, path] = parts;
+    if (!["http:", "https:"].includes(parsed.protocol)) return false;
+    if (scheme !== "*" && parsed.protocol !== `${scheme.toLowerCase()}:`) {
+      return false;
+    }
+    const hostname = parsed.hostname;
+    const base = host.toLowerCase().replace(/^\*\.?/, "");
+    const hostOk =
+      host === "*" ||
+      hostname === base ||
+      (host.startsWith("*.") && hostname.endsWith(`.${base}`));
+    const pathRegex = new RegExp(
+      `^${path
+        .split("*")
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*")}$`
+    );
+    return hostOk && pathRegex.test(parsed.pathname + parsed.search);
+  }
+
+  function urlMatchesDomain(url, entry) {
+    return urlMatchesPattern(url, toMatchPattern(entry));
+  }
+
+  /**
+   * Whether a page is on the allow list and not on the deny list
+   * @param {Object} settings - normalize() output
+   * @param {String} url - Page URL
+   * @returns {Boolean}
+   */
+  function isUrlTracked(settings, url) {
+    const matches = (entry) => urlMatchesDomain(url, entry);
+    return (
+      settings.allowedDomains.some(matches) &&
+      !settings.deniedDomains.some(matches)
+    );
+  }
+
+  // =============================================
+  // ENFORCEMENT
+  // =============================================
+  function isCapturing(settings) {
+    return settings.userConsent && settings.trackingEnabled;
+  }
+
+  function isFreshworksUrl(url) {
+    let hostname = "";
+    try {
+      hostname = new URL(url).hostname;
+    } catch {
+      return false;
+    }
+    return FRESHWORKS_DOMAINS.some(
+      (domain) => hostname === domain || hostname.endsWith(`.${domain}`)
+    );
+  }
+
+  /**
+   * Whether an event from a page should be captured at all
+   * @param {Object} settings - normalize() output
+   * @param {String} type - Event type (api_error, console_error, ...)
+   * @param {String} pageUrl - Page the event came from
+   * @returns {Boolean}
+   */
+  function eventAllowed(settings, type, pageUrl) {
+    if (!isCapturing(settings)) return false;
+    // Content scripts already loaded stay until reload, so domain list
+    // edits are enforced here too
+    if (pageUrl && !isUrlTracked(settings, pageUrl)) return false;
+    if (settings.freshworksOnly && pageUrl && !isFreshworksUrl(pageUrl)) {
+      return false;
+    }
+    if (!settings.trackApi && API_EVENTS.includes(type)) return false;
+    if (!settings.trackConsole && CONSOLE_EVENTS.includes(type)) return false;
+    return true;
+  }
+
+  /**
+   * Per-list storage caps derived from "Maximum Stored Errors"
+   * @param {Object} settings - normalize() output
+   * @returns {Object} { crashes, apiErrors, ..., screenshots }
+   */
+  function storageLimits(settings) {
+    const limits = {};
+    Object.entries(STORAGE_SHARES).forEach(([list, share]) => {
+      limits[list] = Math.max(
+        MIN_STORED,
+        Math.round(settings.maxErrors * share)
+      );
+    });
+    return limits;
+  }
+
+  // =============================================
+  // STORAGE (extension contexts only - the main world gets settings pushed
+  // from content.js)
+  // =============================================
+  async function load() {
+    const result = await chrome.storage.local.get([
+      "settings",
+      "userConsent",
+      "trackingEnabled",
+    ]);
+    return normalize(result.settings, result);
+  }
+
+  /**
+   * Merges values into the stored settings
+   * @param {Object} values - Any DEFAULTS keys; trackingEnabled is kept top-level
+   */
+  async function save(values) {
+    const { userConsent, trackingEnabled, ...rest } = values;
+    const { settings: current } = await chrome.storage.local.get(["settings"]);
+
+    const update = {
+      settings: {
+        ...(current || {}),
+        ...rest,
+        lastUpdated: new Date().toISOString(),
+      },
+    };
+    if (trackingEnabled !== undefined) update.trackingEnabled = trackingEnabled;
+    await chrome.storage.local.set(update);
+  }
+
+  // Fires in every extension context (background, content scripts in all
+  // open tabs, popup, options) whenever any setting changes
+  function onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== "local") return;
+      if (
+        !changes.settings &&
+        !changes.userConsent &&
+        !changes.trackingEnabled
+      ) {
+        return;
+      }
+      load()
+        .then(callback)
+        .catch(() => {
+          // Extension context invalidated (reloaded extension, stale tab)
+        });
+    });
+  }
+
+  root.L2Settings = {
+    DEFAULTS,
+    DEFAULT_ALLOWED_DOMAINS,
+    DEFAULT_RETENTION,
+    normalize,
+    toMatchPattern,
+    parseDomainLines,
+    urlMatchesDomain,
+    isUrlTracked,
+    isCapturing,
+    isFreshworksUrl,
+    eventAllowed,
+    storageLimits,
+    load,
+    save,
+    onChange,
+  };
+})(typeof self !== "undefined" ? self : window);
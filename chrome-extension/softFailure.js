@@ -0,0 +1,240 @@
+// L2 Agent - Soft Failure Rules
+// Shared by injected.js (main world) and options.js (rule editor/test)
+// Classifies 200-OK responses whose body reports a failure (e.g. {"success": false})
+// Depends on redaction.js for JSON path parsing - load it first
+
+(function (root) {
+  "use strict";
+
+  // Default rules - used until the user saves their own on the options page
+  const DEFAULT_RULES = [
+    {
+      name: "success_false",
+      urlPattern: "*",
+      predicates: [{ path: "$.success", op: "==", value: false }],
+    },
+    {
+      name: "status_error",
+      urlPattern: "*",
+      predicates: [{ path: "$.status", op: "==", value: "error" }],
+    },
+  ];
+
+  const OPERATORS = ["==", "!=", "exists", "missing"];
+
+  // =============================================
+  // URL PATTERNS: glob ("*/api/*") or regex ("/\/api\/v\d+\//i")
+  // =============================================
+  function compileUrlPattern(pattern) {
+    const src = String(pattern || "*").trim();
+    const regexMatch = src.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) return new RegExp(regexMatch[1], regexMatch[2]);
+
+    const escaped = src
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    return new RegExp(`^${escaped}$`, "i");
+  }
+
+  // =============================================
+  // JSON PATH SELECTION (same subset as redaction.js)
+  // =============================================
+  function selectPath(node, segments, idx, out) {
+    if (idx === segments.length) {
+      out.push(node);
+      return;
+    }
+    if (!node || typeof node !== "object") return;
+
+    const seg = segments[idx];
+    const keys =
+      seg.key === "*"
+        ? Object.keys(node)
+        : Object.prototype.hasOwnProperty.call(node, seg.key)
+        ? [seg.key]
+        : [];
+    keys.forEach((key) => selectPath(node[key], segments, idx + 1, out));
+
+    if (seg.descendant) {
+      Object.keys(node).forEach((key) => {
+        if (node[key] && typeof node[key] === "object") {
+          selectPath(node[key], segments, idx, out);
+        }
+      });
+    }
+  }
+
+  function testPredicate(body, predicate) {
+    const values = [];
+    selectPath(body, predicate.segments, 0, values);
+
+    switch (predicate.op) {
+      case "exists":
+        return values.some((v) => v !== undefined && v !== null);
+      case "missing":
+        return values.every((v) => v === undefined || v === null);
+      case "==":
+        return values.some((v) => v === predicate.value);
+      case "!=":
+        return values.length > 0 && values.every((v) => v !== predicate.value);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Compiles rules once so matching a response is cheap
+   * @param {Array<Object>} rules - Rules from settings (null = defaults)
+   * @returns {Array<Object>} Compiled rules (invalid ones dropped)
+   */
+  function compileRules(rules) {
+    const parsePath = root.L2Redaction?.parseJsonPath;
+    if (!parsePath) return [];
+
+    const compiled = [];
+    (rules || DEFAULT_RULES).forEach((rule) => {
+      try {
+        const predicates = (rule.predicates || []).map((p) => {
+          const segments = parsePath(p.path);
+          if (!segments || !OPERATORS.includes(p.op)) throw new Error();
+          return { ...p, segments };
+        });
+        if (predicates.length === 0) return;
+
+        compiled.push({
+          name: rule.name,
+          urlRegex: compileUrlPattern(rule.urlPattern),
+          predicates,
+        });
+      } catch {
+        // Invalid rule - skip it (the options page validates on save)
+      }
+    });
+    return compiled;
+  }
+
+  /**
+   * Finds the first rule that classifies a response as a soft failure
+   * @param {String} url - Request URL
+   * @param {Object} body - Parsed JSON response body
+   * @param {Array<Object>} compiledRules - From compileRules()
+   * @returns {Object|null} { rule, conditions } or null
+   */
+  function matchResponse(url, body, compiledRules) {
+    if (!body || typeof body !== "object") return null;
+
+    for (const rule of compiledRules) {
+      if (!rule.urlRegex.test(url || "")) continue;
+      if (rule.predicates.every((p) => testPredicate(body, p))) {
+        return {
+          rule: rule.name,
+          conditions: rule.predicates.map(formatPredicate),
+        };
+      }
+    }
+    return null;
+  }
+
+  // =============================================
+  // RULE TEXT FORMAT (options page)
+  // One rule per line: name | url pattern | $.path == value && $.other exists
+  // =============================================
+  function parseValue(text) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text; // Unquoted strings are fine: $.status == error
+    }
+  }
+
+  function formatPredicate(p) {
+    return p.op === "exists" || p.op === "missing"
+      ? `${p.path} ${p.op}`
+      : `${p.path} ${p.op} ${JSON.stringify(p.value)}`;
+  }
+
+  function parseRuleLines(text) {
+    const rules = [];
+    const errors = [];
+    const parsePath = root.L2Redaction.parseJsonPath;
+
+    String(text || "")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .forEach((line, idx) => {
+        // Split on the outer pipes only - regex url patterns use "|" too
+        const first = line.indexOf("|");
+        const last = line.lastIndexOf("|");
+        const parts =
+          first === last
+            ? []
+            : [
+                line.slice(0, first),
+                line.slice(first + 1, last),
+                line.slice(last + 1),
+              ].map((p) => p.trim());
+        if (parts.length !== 3 || !/^[\w-]+$/.test(parts[0])) {
+          errors.push(
+            `Line ${idx + 1}: expected "name | url pattern | $.path == value"`
+          );
+          return;
+        }
+
+        const [name, urlPattern, conditionText] = parts;
+        try {
+          compileUrlPattern(urlPattern);
+        } catch (e) {
+          errors.push(`Line ${idx + 1}: ${e.message}`);
+          return;
+        }
+
+        const predicates = [];
+        const lineErrors = [];
+        conditionText.split("&&").forEach((condition) => {
+          const m = condition
+            .trim()
+            .match(/^(\S+)\s+(==|!=|exists|missing)(?:\s+(.+))?$/);
+          if (!m || (["==", "!="].includes(m[2]) && m[3] === undefined)) {
+            lineErrors.push(`invalid condition "${condition.trim()}"`);
+          } else if (!parsePath(m[1])) {
+            lineErrors.push(`invalid JSON path ${m[1]}`);
+          } else {
+            predicates.push({
+              path: m[1],
+              op: m[2],
+              ...(m[3] !== undefined ? { value: parseValue(m[3].trim()) } : {}),
+            });
+          }
+        });
+
+        if (lineErrors.length > 0) {
+          errors.push(`Line ${idx + 1}: ${lineErrors.join(", ")}`);
+          return;
+        }
+        rules.push({ name, urlPattern, predicates });
+      });
+
+    return { rules, errors };
+  }
+
+  function formatRuleLines(rules) {
+    return (rules || [])
+      .map(
+        (r) =>
+          `${r.name} | ${r.urlPattern || "*"} | ${r.predicates
+            .map(formatPredicate)
+            .join(" && ")}`
+      )
+      .join("\n");
+  }
+
+  root.L2SoftFailure = {
+    DEFAULT_RULES,
+    compileRules,
+    matchResponse,
+    parseRuleLines,
+    formatRuleLines,
+  };
+})(typeof self !== "undefined" ? self : window);
@@ -0,0 +1,108 @@
+// Symbolication Service for minified stack traces
+// Sends captured stacks to the L2 Agent backend, which resolves them with source maps
+
+/**
+ * Checks whether an error entry has anything worth symbolicating
+ * @param {Object} errorData - Page/console error entry
+ * @returns {boolean} True if the entry has a stack or a file location
+ */
+function hasSymbolicatableLocation(errorData) {
+  if (!errorData || errorData.resolvedStack) return false;
+  return Boolean(
+    (errorData.stack && /https?:\/\//.test(errorData.stack)) ||
+      (errorData.filename && errorData.lineno)
+  );
+}
+
+/**
+ * Calls the backend symbolication endpoint
+ * @param {Array<Object>} stacks - [{ id, stack, filename, lineno, colno }]
+ * @returns {Promise<Array<Object>>} Results keyed by id
+ */
+async function requestSymbolication(stacks) {
+  if (stacks.length === 0) return [];
+
+  const backendUrl = await getBackendUrl();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CONFIG.API_TIMEOUT);
+
+  try {
+    const response = await fetch(`${backendUrl}${CONFIG.SYMBOLICATION.PATH}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        stacks: stacks.slice(0, CONFIG.SYMBOLICATION.MAX_STACKS_PER_REQUEST),
+      }),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(
+        `Symbolication failed: ${response.status} ${response.statusText}`
+      );
+    }
+
+    const data = await response.json();
+    return data.results || [];
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Attaches a symbolication result to an error entry
+ * @param {Object} errorData - Page/console error entry (mutated)
+ * @param {Object} result - Backend result for that entry
+ * @returns {boolean} True if the entry was updated
+ */
+function applySymbolication(errorData, result) {
+  if (!result || !result.resolvedStack) return false;
+
+  // Same order as the stack, null where a frame didn't resolve - [0] is
+  // always the top frame
+  errorData.resolvedStack = result.resolvedStack;
+  errorData.resolvedFrames = (result.frames || [])
+    .slice(0, 10)
+    .map((f) => f.original || null);
+  errorData.symbolicatedAt = new Date().toISOString();
+  return true;
+}
+
+/**
+ * Symbolicates every stack on an entry: the entry itself, a crash's
+ * primaryError and the page errors attached as crash context
+ * @param {Object} entry - Error or crash entry (mutated in place)
+ * @returns {Promise<boolean>} True if anything was resolved
+ */
+async function symbolicateEntry(entry) {
+  if (!entry) return false;
+
+  const targets = [
+    entry,
+    entry.primaryError,
+    ...(entry.recentPageErrors || []),
+    ...(entry.recentConsoleErrors || []).filter(
+      (e) => e.type === "console.error"
+    ),
+  ].filter(hasSymbolicatableLocation);
+
+  if (targets.length === 0) return false;
+
+  const results = await requestSymbolication(
+    targets.map((t, idx) => ({
+      id: idx,
+      stack: t.stack,
+      filename: t.filename,
+      lineno: t.lineno,
+      colno: t.colno,
+    }))
+  );
+
+  let changed = false;
+  results.forEach((result) => {
+    if (applySymbolication(targets[result.id], result)) changed = true;
+  });
+  return changed;
+}